@@ -5,9 +5,11 @@
 import { connectWallet, disconnectWallet, isWalletConnected, getAccount, getWalletAddress, onAccountChange, restoreWalletConnection } from './utils/wallet.js';
 import { fetchAllBlobs } from './utils/api.js';
 import { deleteBlobsBatch } from './utils/batch-operations.js';
-import { WalrusClient } from '@mysten/walrus';
-import { showLoading, hideLoading, showError } from './utils/notifications.js';
-import { getSuiRpcUrl } from './utils/settings.js';
+import { resumeUpload } from './services/walrus-upload.js';
+import { getPendingUploads, findUploadForBlob } from './services/upload-store.js';
+import { showLoading, showLoadingSteps, hideLoading, showError } from './utils/notifications.js';
+import { createWalrusClient } from './services/network.js';
+import { h, setChildren } from './utils/dom.js';
 import {
   createAdminBlobCard,
   attachAdminCardHandlers
@@ -102,23 +104,20 @@ function createBlobCard(blob) {
     blob, 
     selectedBlobs, 
     updateBatchActions, 
-    handleBurnSingle
+    handleBurnSingle,
+    handleResume
   );
   
   return card;
 }
 
 function renderExpiredBlobs() {
-  expiredBlobsEl.innerHTML = '';
-  
   if (expiredBlobs.length === 0) {
-    expiredBlobsEl.innerHTML = '<div class="empty-state">No expired or uncertified blobs found 🎉</div>';
+    setChildren(expiredBlobsEl, h('div', { class: 'empty-state' }, 'No expired or uncertified blobs found 🎉'));
     return;
   }
   
-  expiredBlobs.forEach(blob => {
-    expiredBlobsEl.appendChild(createBlobCard(blob));
-  });
+  setChildren(expiredBlobsEl, expiredBlobs.map(blob => createBlobCard(blob)));
 }
 
 async function loadData() {
@@ -126,11 +125,7 @@ async function loadData() {
   
   try {
     // Get current epoch
-    const suiRpcUrl = getSuiRpcUrl();
-    const walrusClient = new WalrusClient({
-      network: 'mainnet',
-      suiRpcUrl: suiRpcUrl,
-    });
+    const walrusClient = createWalrusClient();
     
     const systemState = await walrusClient.systemState();
     currentEpoch = systemState.committee.epoch;
@@ -149,6 +144,12 @@ async function loadData() {
       blob.expiryEpoch >= currentEpoch && blob.isUncertified
     );
     
+    // Uncertified blobs uploaded from this browser can be finished instead of burned
+    const pendingUploads = await getPendingUploads();
+    uncertifiedBlobs.forEach(blob => {
+      blob.hasPendingUpload = !!findUploadForBlob(pendingUploads, blob);
+    });
+    
     // Combine expired and uncertified for deletion
     expiredBlobs = [...expiredOnly, ...uncertifiedBlobs];
     
@@ -200,6 +201,27 @@ async function handleBurnSingle(blob) {
   }
 }
 
+async function handleResume(blob) {
+  showLoading('Resuming upload...');
+  
+  try {
+    await resumeUpload(blob, {
+      onProgress: ({ steps, current }) => showLoadingSteps(steps, current),
+    });
+    
+    showLoading('Blob certified successfully! Reloading...');
+    
+    // Reload after delay
+    setTimeout(() => {
+      window.location.reload();
+    }, 2000);
+    
+  } catch (error) {
+    console.error('Error resuming upload:', error);
+    showError('Failed to resume upload: ' + error.message);
+  }
+}
+
 async function handleBurnSelected() {
   if (selectedBlobs.size === 0) return;
   
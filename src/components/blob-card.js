@@ -3,6 +3,9 @@
  * Reusable component for rendering blob cards in user pages and admin views
  */
 
+import { getPageUrl } from '../utils/router.js';
+import { h } from '../utils/dom.js';
+
 /**
  * Formats bytes to human-readable size
  * @param {number} bytes - Size in bytes
@@ -52,32 +55,54 @@ export function calculateEpochsRemaining(expiryEpoch, currentEpoch) {
 }
 
 /**
- * Creates a blob card element for user pages (simple view)
+ * Creates a page card element for page lists
  * @param {Object} blob - Blob object with metadata
  * @param {Object} options - Configuration options
  * @param {boolean} options.showCheckbox - Whether to show selection checkbox
  * @param {boolean} options.isSelected - Whether the blob is currently selected
- * @returns {string} HTML string for the blob card
+ * @param {boolean} options.showCertification - Whether to flag uncertified blobs
+ * @param {string|null} options.txUrl - Explorer link to the transaction that sent the page
+ * @param {Array<HTMLElement>} options.actions - Extra action buttons, shown before View
+ * @returns {HTMLElement} DOM element for the page card
  */
 export function createUserPageCard(blob, options = {}) {
-  const { showCheckbox = false, isSelected = false } = options;
-  
-  const checkboxHtml = showCheckbox 
-    ? `<input type="checkbox" class="blob-checkbox" data-blob-id="${blob.objectId}" ${isSelected ? 'checked' : ''} />` 
-    : '';
+  const {
+    showCheckbox = false,
+    isSelected = false,
+    showCertification = false,
+    txUrl = null,
+    actions = []
+  } = options;
+  const pageUrl = getPageUrl(blob.objectId);
   
-  return `
-    <div class="page-card">
-      <div class="page-card-header">
-        ${checkboxHtml}
-        <h3>${blob.title || 'Untitled'}</h3>
-        <span class="expiry-epoch">Epoch ${blob.expiryEpoch || 'N/A'}</span>
-      </div>
-      <div class="page-actions">
-        <button class="btn-primary btn-small" onclick="window.location.href='?page=${blob.objectId}'">View</button>
-      </div>
-    </div>
-  `;
+  return h('div', { class: 'page-card' },
+    h('div', { class: 'page-card-header' },
+      showCheckbox && h('input', {
+        type: 'checkbox',
+        class: 'blob-checkbox',
+        dataset: { blobId: blob.objectId },
+        checked: isSelected
+      }),
+      h('div', { class: 'page-title-section' },
+        h('h3', {},
+          h('a', { href: pageUrl, class: 'page-title-link' }, blob.title || 'Untitled'),
+          txUrl && [' ', h('a', {
+            href: txUrl,
+            target: '_blank',
+            rel: 'noopener',
+            class: 'tx-link-icon',
+            title: 'View sending transaction'
+          }, '📜')]
+        )
+      ),
+      showCertification && isBlobUncertified(blob) && h('span', { class: 'badge warning-badge' }, '⚠️ Not Certified'),
+      h('span', { class: 'expiry-epoch' }, `Epoch ${blob.expiryEpoch || 'N/A'}`)
+    ),
+    h('div', { class: 'page-actions' },
+      actions,
+      h('a', { href: pageUrl, class: 'btn-primary btn-small' }, 'View')
+    )
+  );
 }
 
 /**
@@ -88,62 +113,58 @@ export function createUserPageCard(blob, options = {}) {
  * @returns {HTMLElement} DOM element for the blob card
  */
 export function createAdminBlobCard(blob, currentEpoch, selectedBlobs) {
-  const card = document.createElement('div');
-  card.className = 'blob-card';
-  card.dataset.blobId = blob.objectId;
-  
   const isExpired = isBlobExpired(blob.expiryEpoch, currentEpoch);
   const isUncertified = isBlobUncertified(blob);
   const isSelected = selectedBlobs.has(blob.objectId);
   
-  if (isSelected) {
-    card.classList.add('selected');
-  }
-  
   const epochsAgo = currentEpoch - blob.expiryEpoch;
+  const expiredAgo = () => h('span', { class: 'value expired-badge' }, `${epochsAgo} epoch${epochsAgo !== 1 ? 's' : ''} ago`);
   
-  let statusBadge = '';
+  let statusBadge = null;
   if (isUncertified && !isExpired) {
-    statusBadge = '<span class="badge warning-badge">⚠️ Not Certified</span>';
+    statusBadge = h('span', { class: 'badge warning-badge' }, '⚠️ Not Certified');
   } else if (isExpired) {
-    statusBadge = `<span class="value expired-badge">${epochsAgo} epoch${epochsAgo !== 1 ? 's' : ''} ago</span>`;
+    statusBadge = expiredAgo();
   }
   
-  card.innerHTML = `
-    <div class="blob-header">
-      <input type="checkbox" 
-        class="blob-checkbox" 
-        data-blob-id="${blob.objectId}"
-        ${isSelected ? 'checked' : ''}>
-      <div class="blob-title">${blob.name || 'Untitled'}</div>
-      ${statusBadge}
-    </div>
-    <div class="blob-meta">
-      <div class="blob-meta-item">
-        <span class="label">Blob ID:</span>
-        <span class="value">${blob.blobId.slice(0, 10)}...</span>
-      </div>
-      <div class="blob-meta-item">
-        <span class="label">${isExpired ? 'Expired:' : 'Certified Epoch:'}</span>
-        ${isExpired ? `<span class="value expired-badge">${epochsAgo} epoch${epochsAgo !== 1 ? 's' : ''} ago</span>` : `<span class="value">${blob.certifiedEpoch || 'None'}</span>`}
-      </div>
-      <div class="blob-meta-item">
-        <span class="label">Size:</span>
-        <span class="value">${formatBlobSize(blob.size)}</span>
-      </div>
-      <div class="blob-meta-item">
-        <span class="label">Expiry Epoch:</span>
-        <span class="value">${blob.expiryEpoch}</span>
-      </div>
-    </div>
-    <div class="blob-actions">
-      <button class="btn btn-sm btn-danger burn-single" data-blob-id="${blob.objectId}">
-        🔥 Burn
-      </button>
-    </div>
-  `;
+  const metaItem = (label, value) => h('div', { class: 'blob-meta-item' },
+    h('span', { class: 'label' }, label),
+    value
+  );
   
-  return card;
+  return h('div', {
+    class: ['blob-card', isSelected && 'selected'],
+    dataset: { blobId: blob.objectId }
+  },
+    h('div', { class: 'blob-header' },
+      h('input', {
+        type: 'checkbox',
+        class: 'blob-checkbox',
+        dataset: { blobId: blob.objectId },
+        checked: isSelected
+      }),
+      h('div', { class: 'blob-title' }, blob.name || 'Untitled'),
+      statusBadge
+    ),
+    h('div', { class: 'blob-meta' },
+      metaItem('Blob ID:', h('span', { class: 'value' }, `${blob.blobId.slice(0, 10)}...`)),
+      isExpired
+        ? metaItem('Expired:', expiredAgo())
+        : metaItem('Certified Epoch:', h('span', { class: 'value' }, blob.certifiedEpoch || 'None')),
+      metaItem('Size:', h('span', { class: 'value' }, formatBlobSize(blob.size))),
+      metaItem('Expiry Epoch:', h('span', { class: 'value' }, blob.expiryEpoch))
+    ),
+    h('div', { class: 'blob-actions' },
+      blob.hasPendingUpload && isUncertified && !isExpired && h('button', {
+        class: 'btn btn-sm btn-primary resume-single',
+        dataset: { blobId: blob.objectId }
+      }, '↻ Resume certification'),
+      h('button', {
+        class: 'btn btn-sm btn-danger burn-single',
+        dataset: { blobId: blob.objectId }
+      }, '🔥 Burn')
+    )
+  );
 }
 
 /**
@@ -153,8 +174,9 @@ export function createAdminBlobCard(blob, currentEpoch, selectedBlobs) {
  * @param {Set} selectedBlobs - Set of selected blob IDs
  * @param {Function} onSelectionChange - Callback when selection changes
  * @param {Function} onBurnSingle - Callback when burn button clicked
+ * @param {Function} onResume - Callback when resume certification button clicked
  */
-export function attachAdminCardHandlers(card, blob, selectedBlobs, onSelectionChange, onBurnSingle) {
+export function attachAdminCardHandlers(card, blob, selectedBlobs, onSelectionChange, onBurnSingle, onResume) {
   // Checkbox handler
   const checkbox = card.querySelector('.blob-checkbox');
   if (checkbox) {
@@ -175,4 +197,10 @@ export function attachAdminCardHandlers(card, blob, selectedBlobs, onSelectionCh
   if (burnBtn) {
     burnBtn.addEventListener('click', () => onBurnSingle(blob));
   }
+  
+  // Resume certification handler
+  const resumeBtn = card.querySelector('.resume-single');
+  if (resumeBtn && onResume) {
+    resumeBtn.addEventListener('click', () => onResume(blob));
+  }
 }
@@ -0,0 +1,187 @@
+/**
+ * Content Viewer Component
+ * Renders a page's content in the viewer according to its content type:
+ * Markdown, sandboxed HTML, text and source code, JSON, images, audio, video
+ * and PDF, with a download link for anything else
+ */
+
+import { renderMarkdown } from '../utils/markdown.js';
+import { renderDiagrams } from '../utils/diagrams.js';
+import { highlightCode, getLanguageForContentType } from '../utils/highlight.js';
+import { createHtmlPageFrame } from '../utils/html-page.js';
+import { formatBlobSize } from './blob-card.js';
+import { DEFAULT_CONTENT_TYPE } from '../config/constants.js';
+
+// Object URL of the media on screen, revoked when other content is shown
+let objectUrl = null;
+
+/**
+ * Strip parameters and normalize case, e.g. 'Text/Plain; charset=utf-8' -> 'text/plain'.
+ * Pages published without a content type are Markdown.
+ * @param {string|null} contentType - Content type attribute
+ * @returns {string} MIME type
+ */
+export function normalizeContentType(contentType) {
+  return (contentType || DEFAULT_CONTENT_TYPE).split(';')[0].trim().toLowerCase() || DEFAULT_CONTENT_TYPE;
+}
+
+/**
+ * Decide how content of a given type is shown
+ * @param {string|null} contentType - Content type attribute
+ * @returns {'markdown'|'html'|'json'|'code'|'text'|'image'|'audio'|'video'|'pdf'|'download'} Viewer kind
+ */
+export function getViewerKind(contentType) {
+  const type = normalizeContentType(contentType);
+
+  if (type.includes('markdown')) return 'markdown';
+  if (type === 'text/html') return 'html';
+  if (type === 'application/json' || type.endsWith('+json')) return 'json';
+  if (type.startsWith('image/')) return 'image';
+  if (type.startsWith('audio/')) return 'audio';
+  if (type.startsWith('video/')) return 'video';
+  if (type === 'application/pdf') return 'pdf';
+  if (getLanguageForContentType(type)) return 'code';
+  if (type.startsWith('text/')) return 'text';
+  return 'download';
+}
+
+function createObjectUrl(data, type) {
+  objectUrl = URL.createObjectURL(new Blob([data], { type }));
+  return objectUrl;
+}
+
+function createCodeBlock(code, language) {
+  const pre = document.createElement('pre');
+  const codeEl = document.createElement('code');
+  codeEl.className = `hljs language-${language}`;
+  codeEl.innerHTML = highlightCode(code, language);
+  pre.appendChild(codeEl);
+  return pre;
+}
+
+function formatJson(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch {
+    // Show invalid JSON as published
+    return text;
+  }
+}
+
+// Guess a file extension from the MIME subtype, e.g. image/svg+xml -> svg
+function getFileExtension(type) {
+  const subtype = type.split('/')[1]?.split('+')[0];
+  return subtype && /^[a-z0-9]{1,8}$/.test(subtype) ? `.${subtype}` : '';
+}
+
+function createDownloadFallback(data, type, fileName) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'download-fallback';
+
+  const message = document.createElement('p');
+  message.textContent = `This page is a ${type} file (${formatBlobSize(data.byteLength)}) that can't be shown in the browser.`;
+
+  // Served as a generic binary so the browser saves it instead of opening it
+  const link = document.createElement('a');
+  link.className = 'btn-primary';
+  link.href = createObjectUrl(data, 'application/octet-stream');
+  link.download = `${fileName}${getFileExtension(type)}`;
+  link.textContent = 'Download';
+
+  wrapper.append(message, link);
+  return wrapper;
+}
+
+/**
+ * Render content into the viewer, replacing what was there
+ * @param {HTMLElement} container - Element to render into
+ * @param {Uint8Array} data - Blob content
+ * @param {string|null} contentType - Content type attribute
+ * @param {Object} options
+ * @param {string} options.fileName - Name for downloads and image alt text, without extension
+ * @returns {{kind: string, text: string|null}} Viewer kind used, and the content as text for text kinds
+ */
+export function renderContent(container, data, contentType, { fileName = 'walrus-page' } = {}) {
+  clearContent(container);
+
+  const type = normalizeContentType(contentType);
+  const kind = getViewerKind(type);
+  const text = ['markdown', 'html', 'json', 'code', 'text'].includes(kind) ? new TextDecoder().decode(data) : null;
+  container.dataset.viewer = kind;
+
+  switch (kind) {
+    case 'markdown':
+      container.innerHTML = renderMarkdown(text);
+      renderDiagrams(container).catch(error => console.warn('Could not load diagrams:', error));
+      break;
+
+    case 'html':
+      container.appendChild(createHtmlPageFrame(text, { title: fileName }));
+      break;
+
+    case 'json':
+      container.appendChild(createCodeBlock(formatJson(text), 'json'));
+      break;
+
+    case 'code':
+      container.appendChild(createCodeBlock(text, getLanguageForContentType(type)));
+      break;
+
+    case 'text': {
+      const pre = document.createElement('pre');
+      pre.className = 'plain-text';
+      pre.textContent = text;
+      container.appendChild(pre);
+      break;
+    }
+
+    case 'image': {
+      // SVG shown through <img> can't run scripts
+      const img = document.createElement('img');
+      img.className = 'content-image';
+      img.src = createObjectUrl(data, type);
+      img.alt = fileName;
+      container.appendChild(img);
+      break;
+    }
+
+    case 'audio':
+    case 'video': {
+      const player = document.createElement(kind);
+      player.className = `content-${kind}`;
+      player.controls = true;
+      player.preload = 'metadata';
+      player.src = createObjectUrl(data, type);
+      container.appendChild(player);
+      break;
+    }
+
+    case 'pdf': {
+      const frame = document.createElement('iframe');
+      frame.className = 'content-pdf';
+      frame.title = fileName;
+      frame.src = createObjectUrl(data, type);
+      container.appendChild(frame);
+      break;
+    }
+
+    default:
+      container.appendChild(createDownloadFallback(data, type, fileName));
+  }
+
+  console.log(`🖼️ Rendered ${type} content as ${kind}`);
+  return { kind, text };
+}
+
+/**
+ * Empty the viewer and release any media it was showing
+ * @param {HTMLElement} container - Element content was rendered into
+ */
+export function clearContent(container) {
+  if (objectUrl) {
+    URL.revokeObjectURL(objectUrl);
+    objectUrl = null;
+  }
+  container.replaceChildren();
+  delete container.dataset.viewer;
+}
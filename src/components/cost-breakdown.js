@@ -0,0 +1,79 @@
+/**
+ * Cost Breakdown Component - Shows the estimated publish cost in the editor modal
+ */
+
+import { toTokenAmount } from '../services/storage-cost.js';
+import { formatBlobSize } from './blob-card.js';
+
+/**
+ * Format an amount in FROST or MIST as a token string
+ * @param {bigint} amount - Amount in the smallest unit
+ * @param {string} symbol - Token symbol (WAL or SUI)
+ * @returns {string} Formatted amount
+ */
+export function formatTokenAmount(amount, symbol) {
+  const value = toTokenAmount(amount);
+  const digits = value !== 0 && value < 0.001 ? 6 : 4;
+  return `${value.toFixed(digits)} ${symbol}`;
+}
+
+function getElements() {
+  return {
+    container: document.getElementById('cost-breakdown'),
+    status: document.getElementById('cost-status'),
+    list: document.getElementById('cost-list'),
+    epochs: document.getElementById('cost-epochs'),
+    storage: document.getElementById('cost-storage'),
+    write: document.getElementById('cost-write'),
+    relayTip: document.getElementById('cost-relay-tip'),
+    gas: document.getElementById('cost-gas'),
+    details: document.getElementById('cost-details'),
+  };
+}
+
+/**
+ * Render a cost breakdown returned by calculateStorageCost
+ * @param {Object} cost - Cost breakdown
+ */
+export function renderCostBreakdown(cost) {
+  const els = getElements();
+  if (!els.container) return;
+
+  els.epochs.textContent = cost.epochs;
+  els.storage.textContent = formatTokenAmount(cost.storageCost, 'WAL');
+  els.write.textContent = formatTokenAmount(cost.writeCost, 'WAL');
+  els.relayTip.textContent = formatTokenAmount(cost.relayTip, 'SUI');
+  els.gas.textContent = `≈ ${formatTokenAmount(cost.gasEstimate, 'SUI')}`;
+  els.details.textContent =
+    `${formatBlobSize(cost.sizeBytes)} of content. Storage is charged on the erasure coded size, ` +
+    `at the current Walrus prices.`;
+
+  els.status.textContent = '';
+  els.list.classList.remove('hidden');
+  els.details.classList.remove('hidden');
+  els.container.classList.remove('hidden');
+}
+
+/**
+ * Show a status line (loading or error) in place of the breakdown
+ * @param {string} message - Status message
+ */
+export function showCostStatus(message) {
+  const els = getElements();
+  if (!els.container) return;
+
+  els.status.textContent = message;
+  els.list.classList.add('hidden');
+  els.details.classList.add('hidden');
+  els.container.classList.remove('hidden');
+}
+
+/**
+ * Hide the cost breakdown
+ */
+export function hideCostBreakdown() {
+  const { container } = getElements();
+  if (container) {
+    container.classList.add('hidden');
+  }
+}
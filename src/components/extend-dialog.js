@@ -0,0 +1,175 @@
+/**
+ * Extend Dialog - Vanilla JS modal for choosing how many epochs to extend storage by
+ */
+
+import { loadExtensionContext, quoteExtension, getMaxExtension } from '../services/blob-extension.js';
+import { estimateEpochStart, formatEpochDate } from '../services/epoch-timing.js';
+import { formatTokenAmount } from './cost-breakdown.js';
+import { DEFAULT_EXTENSION_EPOCHS } from '../config/constants.js';
+
+let modalEl = null;
+let dialogToken = 0; // Ignores storage details that arrive after the dialog was reopened
+
+function getOrCreateModal() {
+  if (modalEl) return modalEl;
+
+  modalEl = document.createElement('div');
+  modalEl.id = 'extend-modal';
+  modalEl.className = 'modal hidden';
+  modalEl.innerHTML = `
+    <div class="modal-content extend-dialog-content">
+      <div class="modal-header">
+        <h2>📅 Extend Storage</h2>
+        <button class="btn-close" data-extend-close>&times;</button>
+      </div>
+      <div class="extend-dialog-body">
+        <p class="extend-dialog-subtitle" data-extend-subtitle></p>
+        <div data-extend-form>
+          <label class="extend-dialog-label" for="extend-epochs-input">
+            Extend by <strong data-extend-epochs></strong>
+          </label>
+          <input type="range" id="extend-epochs-input" min="1" value="1" data-extend-range />
+          <dl class="cost-list">
+            <dt>New expiry</dt>
+            <dd data-extend-expiry></dd>
+            <dt>Cost</dt>
+            <dd data-extend-cost></dd>
+          </dl>
+          <p class="field-hint" data-extend-skipped></p>
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn-secondary" data-extend-cancel>Cancel</button>
+        <button class="btn-primary" data-extend-confirm>Extend</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modalEl);
+  return modalEl;
+}
+
+function describeExpiry(items, context) {
+  if (items.length === 0) return '—';
+
+  const endEpochs = items.map(item => item.newEndEpoch);
+  const first = Math.min(...endEpochs);
+  const last = Math.max(...endEpochs);
+  const date = formatEpochDate(estimateEpochStart(last, context.timing));
+
+  if (first === last) {
+    return `Epoch ${last} (≈ ${date})`;
+  }
+  return `Epochs ${first}–${last} (latest ≈ ${date})`;
+}
+
+/**
+ * Show the extend dialog for one or more blobs.
+ * Returns the chosen number of epochs, or null on cancel.
+ * @param {Array<string>} objectIds - Blob object IDs to extend
+ * @returns {Promise<number|null>} Epochs to extend by
+ */
+export function showExtendDialog(objectIds) {
+  return new Promise((resolve) => {
+    const modal = getOrCreateModal();
+    const subtitle = modal.querySelector('[data-extend-subtitle]');
+    const form = modal.querySelector('[data-extend-form]');
+    const range = modal.querySelector('[data-extend-range]');
+    const epochsEl = modal.querySelector('[data-extend-epochs]');
+    const expiryEl = modal.querySelector('[data-extend-expiry]');
+    const costEl = modal.querySelector('[data-extend-cost]');
+    const skippedEl = modal.querySelector('[data-extend-skipped]');
+    const closeBtn = modal.querySelector('[data-extend-close]');
+    const cancelBtn = modal.querySelector('[data-extend-cancel]');
+    const confirmBtn = modal.querySelector('[data-extend-confirm]');
+
+    let context = null;
+    const token = ++dialogToken;
+
+    subtitle.textContent = 'Loading storage details...';
+    form.classList.add('hidden');
+    confirmBtn.disabled = true;
+
+    function update() {
+      const epochs = Number(range.value);
+      const { items, skipped, totalCost } = quoteExtension(context, epochs);
+
+      epochsEl.textContent = `${epochs} epoch${epochs !== 1 ? 's' : ''}`;
+      expiryEl.textContent = describeExpiry(items, context);
+      costEl.textContent = formatTokenAmount(totalCost, 'WAL');
+
+      // Blobs closer to the limit get less than requested
+      const clamped = items.filter(item => item.epochs < epochs).length;
+      const notes = [];
+      if (clamped > 0) {
+        notes.push(`${clamped} blob${clamped !== 1 ? 's' : ''} will be extended by less, up to the ${context.maxEpochsAhead}-epoch limit.`);
+      }
+      if (skipped.length > 0) {
+        notes.push(`${skipped.length} blob${skipped.length !== 1 ? 's' : ''} can't be extended: ${skipped[0].reason}.`);
+      }
+      skippedEl.textContent = notes.join(' ');
+    }
+
+    function onConfirm() {
+      const epochs = Number(range.value);
+      cleanup();
+      resolve(epochs);
+    }
+
+    function onClose() {
+      cleanup();
+      resolve(null);
+    }
+
+    function onBackdropClick(e) {
+      if (e.target === modal) onClose();
+    }
+
+    function onKeydown(e) {
+      if (e.key === 'Escape') onClose();
+    }
+
+    function cleanup() {
+      modal.classList.add('hidden');
+      range.removeEventListener('input', update);
+      confirmBtn.removeEventListener('click', onConfirm);
+      closeBtn.removeEventListener('click', onClose);
+      cancelBtn.removeEventListener('click', onClose);
+      modal.removeEventListener('click', onBackdropClick);
+      document.removeEventListener('keydown', onKeydown);
+    }
+
+    range.addEventListener('input', update);
+    confirmBtn.addEventListener('click', onConfirm);
+    closeBtn.addEventListener('click', onClose);
+    cancelBtn.addEventListener('click', onClose);
+    modal.addEventListener('click', onBackdropClick);
+    document.addEventListener('keydown', onKeydown);
+
+    modal.classList.remove('hidden');
+
+    loadExtensionContext(objectIds).then((loaded) => {
+      if (token !== dialogToken) return;
+      context = loaded;
+      const maxExtension = Math.max(0, ...context.blobs.map(blob => getMaxExtension(blob, context)));
+
+      if (maxExtension === 0) {
+        subtitle.textContent = objectIds.length === 1
+          ? 'This page is already stored for the maximum number of epochs, or has expired.'
+          : 'None of the selected pages can be extended right now.';
+        return;
+      }
+
+      subtitle.textContent = `Current epoch ${context.currentEpoch}. Storage can be bought up to ${context.maxEpochsAhead} epochs ahead.`;
+      range.max = maxExtension;
+      range.value = Math.min(DEFAULT_EXTENSION_EPOCHS, maxExtension);
+      form.classList.remove('hidden');
+      confirmBtn.disabled = false;
+      update();
+    }).catch((error) => {
+      if (token !== dialogToken) return;
+      console.error('Error loading extension details:', error);
+      subtitle.textContent = `Failed to load storage details: ${error.message}`;
+    });
+  });
+}
@@ -0,0 +1,133 @@
+/**
+ * Link Warning - Vanilla JS interstitial shown before following a suspicious
+ * external link from a page (see utils/link-policy.js)
+ */
+
+import { getLinkWarning, isExternalUrl, trustHost } from '../utils/link-policy.js';
+
+// Rendered pages: the viewer and the editor preview
+const PAGE_CONTENT_SELECTOR = '#content, .editor-preview, .editor-preview-side';
+
+let modalEl = null;
+
+function getOrCreateModal() {
+  if (modalEl) return modalEl;
+
+  modalEl = document.createElement('div');
+  modalEl.id = 'link-warning-modal';
+  modalEl.className = 'modal hidden';
+  modalEl.innerHTML = `
+    <div class="modal-content link-warning-content">
+      <div class="modal-header">
+        <h2>⚠️ Check this link</h2>
+        <button class="btn-close" data-link-close>&times;</button>
+      </div>
+      <div class="link-warning-body">
+        <p data-link-reason></p>
+        <p class="link-warning-label">This link goes to</p>
+        <code class="link-warning-url" data-link-url></code>
+      </div>
+      <div class="modal-footer">
+        <button class="btn-secondary" data-link-cancel>Cancel</button>
+        <button class="btn-secondary" data-link-trust></button>
+        <button class="btn-primary" data-link-open>Open link</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modalEl);
+  return modalEl;
+}
+
+function describeWarning({ reason, host, shownHost }) {
+  if (reason === 'mismatch') {
+    return `The link text shows ${shownHost}, but the link goes to ${host}.`;
+  }
+  return `${host} contains letters from other alphabets that can imitate another site's name.`;
+}
+
+/**
+ * Ask before following a suspicious link
+ * @param {string} url - Link target
+ * @param {Object} warning - From getLinkWarning()
+ * @returns {Promise<'open'|'trust'|null>} 'open' to follow it once, 'trust' to follow it and
+ *   stop warning about its host, or null on cancel
+ */
+function showLinkWarning(url, warning) {
+  return new Promise((resolve) => {
+    const modal = getOrCreateModal();
+    const closeBtn = modal.querySelector('[data-link-close]');
+    const cancelBtn = modal.querySelector('[data-link-cancel]');
+    const trustBtn = modal.querySelector('[data-link-trust]');
+    const openBtn = modal.querySelector('[data-link-open]');
+
+    modal.querySelector('[data-link-reason]').textContent = describeWarning(warning);
+    modal.querySelector('[data-link-url]').textContent = url;
+    trustBtn.textContent = `Always trust ${warning.host}`;
+
+    function finish(choice) {
+      cleanup();
+      resolve(choice);
+    }
+
+    const onOpen = () => finish('open');
+    const onTrust = () => finish('trust');
+    const onClose = () => finish(null);
+
+    function onBackdropClick(e) {
+      if (e.target === modal) onClose();
+    }
+
+    function onKeydown(e) {
+      if (e.key === 'Escape') onClose();
+    }
+
+    function cleanup() {
+      modal.classList.add('hidden');
+      openBtn.removeEventListener('click', onOpen);
+      trustBtn.removeEventListener('click', onTrust);
+      closeBtn.removeEventListener('click', onClose);
+      cancelBtn.removeEventListener('click', onClose);
+      modal.removeEventListener('click', onBackdropClick);
+      document.removeEventListener('keydown', onKeydown);
+    }
+
+    openBtn.addEventListener('click', onOpen);
+    trustBtn.addEventListener('click', onTrust);
+    closeBtn.addEventListener('click', onClose);
+    cancelBtn.addEventListener('click', onClose);
+    modal.addEventListener('click', onBackdropClick);
+    document.addEventListener('keydown', onKeydown);
+
+    modal.classList.remove('hidden');
+    cancelBtn.focus();
+  });
+}
+
+async function handleLinkClick(event) {
+  const link = event.target.closest?.('a[href]');
+  if (!link || !link.closest(PAGE_CONTENT_SELECTOR) || !isExternalUrl(link.getAttribute('href'))) return;
+
+  const warning = getLinkWarning(link);
+  if (!warning) return;
+
+  event.preventDefault();
+  const choice = await showLinkWarning(link.href, warning);
+  if (!choice) return;
+
+  if (choice === 'trust') {
+    trustHost(warning.host);
+  }
+  window.open(link.href, '_blank', 'noopener,noreferrer');
+}
+
+/**
+ * Warn before suspicious external links in pages are followed with a click or middle click
+ */
+export function initLinkWarnings() {
+  document.addEventListener('click', handleLinkClick);
+  // Middle clicks open links in a new tab without a click event
+  document.addEventListener('auxclick', (event) => {
+    if (event.button === 1) handleLinkClick(event);
+  });
+}
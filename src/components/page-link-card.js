@@ -0,0 +1,119 @@
+/**
+ * Page Link Card Component
+ * Hover card for links to other pages, showing the target's title and
+ * publisher read from chain metadata
+ */
+
+import { h, setChildren } from '../utils/dom.js';
+import { getPageLinkObjectId } from '../utils/link-policy.js';
+import { getPageTitle } from '../services/blob-metadata.js';
+import { getBlobPublisher } from '../services/blob-query.js';
+
+// Rendered pages: the viewer and the editor preview
+const PAGE_CONTENT_SELECTOR = '#content, .editor-preview, .editor-preview-side';
+
+// Wait a moment so the card doesn't flash up while the pointer passes over links
+const SHOW_DELAY_MS = 300;
+
+// Title and publisher per object ID, looked up once per session
+const previews = new Map();
+
+let cardEl = null;
+let activeLink = null;
+let showTimer = null;
+
+function getOrCreateCard() {
+  if (cardEl) return cardEl;
+
+  cardEl = h('div', { class: 'page-link-card hidden', role: 'tooltip' });
+  document.body.appendChild(cardEl);
+  return cardEl;
+}
+
+function shortenId(id) {
+  return `${id.slice(0, 6)}...${id.slice(-4)}`;
+}
+
+function loadPreview(objectId) {
+  if (!previews.has(objectId)) {
+    const preview = Promise.all([getPageTitle(objectId), getBlobPublisher(objectId)])
+      .then(([title, publisher]) => ({ title, publisher }))
+      .catch((error) => {
+        console.warn('Could not load link preview:', error);
+        previews.delete(objectId); // Try again next time
+        return { title: null, publisher: null };
+      });
+    previews.set(objectId, preview);
+  }
+  return previews.get(objectId);
+}
+
+function renderCard(card, objectId, preview) {
+  setChildren(card,
+    h('div', { class: 'page-link-card-title' }, preview ? preview.title || 'Untitled page' : 'Loading...'),
+    preview && h('div', { class: 'page-link-card-meta' },
+      preview.publisher ? `Published by ${shortenId(preview.publisher)}` : 'Publisher unknown'
+    ),
+    h('div', { class: 'page-link-card-id' }, `Walrus page ${shortenId(objectId)}`)
+  );
+}
+
+function showCard(link, objectId) {
+  const card = getOrCreateCard();
+  activeLink = link;
+  renderCard(card, objectId, null);
+
+  const rect = link.getBoundingClientRect();
+  card.style.top = `${rect.bottom + window.scrollY + 6}px`;
+  card.style.left = `${Math.max(8, Math.min(rect.left, document.documentElement.clientWidth - 320)) + window.scrollX}px`;
+  card.classList.remove('hidden');
+
+  loadPreview(objectId).then((preview) => {
+    if (activeLink === link) {
+      renderCard(card, objectId, preview);
+    }
+  });
+}
+
+function hideCard() {
+  clearTimeout(showTimer);
+  activeLink = null;
+  cardEl?.classList.add('hidden');
+}
+
+function findPageLink(target) {
+  const link = target.closest?.('a[href]');
+  if (!link || !link.closest(PAGE_CONTENT_SELECTOR)) return null;
+
+  const objectId = getPageLinkObjectId(link);
+  return objectId ? { link, objectId } : null;
+}
+
+function onLinkEnter(event) {
+  const found = findPageLink(event.target);
+  if (!found || found.link === activeLink) return;
+
+  clearTimeout(showTimer);
+  showTimer = setTimeout(() => showCard(found.link, found.objectId), SHOW_DELAY_MS);
+}
+
+function onLinkLeave(event) {
+  const found = findPageLink(event.target);
+  // Moving between elements inside the same link
+  if (!found || found.link.contains(event.relatedTarget)) return;
+
+  hideCard();
+}
+
+/**
+ * Show hover cards for links to other pages, on pointer hover and keyboard focus
+ */
+export function initPageLinkCards() {
+  document.addEventListener('mouseover', onLinkEnter);
+  document.addEventListener('mouseout', onLinkLeave);
+  document.addEventListener('focusin', onLinkEnter);
+  document.addEventListener('focusout', onLinkLeave);
+  // Following the link or scrolling leaves the card behind
+  document.addEventListener('click', hideCard);
+  window.addEventListener('scroll', hideCard, { passive: true });
+}
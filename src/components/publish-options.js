@@ -0,0 +1,161 @@
+/**
+ * Publish Options Component - Epochs, deletable flag, content type and recipient in the editor modal
+ */
+
+import { isValidSuiAddress, normalizeSuiAddress } from '@mysten/sui/utils';
+import { getEpochTiming, estimateEpochStart, formatEpochDate } from '../services/epoch-timing.js';
+import { MAX_EPOCHS, DEFAULT_CONTENT_TYPE, PUBLISH_CONTENT_TYPES } from '../config/constants.js';
+
+let epochTiming = null;
+let changeListener = null;
+
+function getElements() {
+  return {
+    epochsInput: document.getElementById('epochs-input'),
+    epochsValue: document.getElementById('epochs-value'),
+    epochsExpiry: document.getElementById('epochs-expiry'),
+    deletableInput: document.getElementById('deletable-input'),
+    contentTypeSelect: document.getElementById('content-type-select'),
+    recipientInput: document.getElementById('recipient-input'),
+  };
+}
+
+/**
+ * Initialize the publish options panel
+ * @param {Object} options
+ * @param {Function} options.onChange - Called when an option affecting cost changes
+ */
+export function initPublishOptions({ onChange } = {}) {
+  const { epochsInput, contentTypeSelect } = getElements();
+  changeListener = onChange || null;
+
+  if (contentTypeSelect && contentTypeSelect.options.length === 0) {
+    for (const { value, label } of PUBLISH_CONTENT_TYPES) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      contentTypeSelect.appendChild(option);
+    }
+  }
+
+  epochsInput?.addEventListener('input', () => {
+    updateEpochsDisplay();
+    changeListener?.();
+  });
+
+  resetPublishOptions();
+}
+
+/**
+ * Load live epoch limits so the slider range and expiry date are accurate
+ */
+export async function refreshEpochTiming() {
+  const { epochsInput } = getElements();
+
+  try {
+    epochTiming = await getEpochTiming();
+    if (epochsInput) {
+      epochsInput.max = epochTiming.maxEpochsAhead;
+      if (Number(epochsInput.value) > epochTiming.maxEpochsAhead) {
+        epochsInput.value = epochTiming.maxEpochsAhead;
+      }
+    }
+  } catch (error) {
+    console.warn('Could not load epoch timing:', error);
+  }
+
+  updateEpochsDisplay();
+}
+
+function updateEpochsDisplay() {
+  const { epochsInput, epochsValue, epochsExpiry } = getElements();
+  if (!epochsInput) return;
+
+  const epochs = Number(epochsInput.value);
+
+  if (epochsValue) {
+    epochsValue.textContent = `${epochs} epoch${epochs !== 1 ? 's' : ''}`;
+  }
+
+  if (epochsExpiry) {
+    if (epochTiming) {
+      const endEpoch = epochTiming.currentEpoch + epochs;
+      const expiry = formatEpochDate(estimateEpochStart(endEpoch, epochTiming));
+      epochsExpiry.textContent = `Expires at epoch ${endEpoch}, around ${expiry}`;
+    } else {
+      epochsExpiry.textContent = 'Expiry date unavailable';
+    }
+  }
+}
+
+/**
+ * Restore the default publish options
+ */
+export function resetPublishOptions() {
+  const { epochsInput, deletableInput, contentTypeSelect, recipientInput } = getElements();
+
+  if (epochsInput) {
+    epochsInput.value = Math.min(MAX_EPOCHS, Number(epochsInput.max) || MAX_EPOCHS);
+  }
+  if (deletableInput) {
+    deletableInput.checked = false;
+  }
+  if (contentTypeSelect) {
+    contentTypeSelect.value = DEFAULT_CONTENT_TYPE;
+  }
+  if (recipientInput) {
+    recipientInput.value = '';
+  }
+
+  updateEpochsDisplay();
+}
+
+/**
+ * Select a content type, e.g. the type of a page being edited
+ * @param {string|null} contentType - MIME type; ignored unless it is one of PUBLISH_CONTENT_TYPES
+ */
+export function setPublishContentType(contentType) {
+  const { contentTypeSelect } = getElements();
+  if (contentTypeSelect && PUBLISH_CONTENT_TYPES.some(({ value }) => value === contentType)) {
+    contentTypeSelect.value = contentType;
+  }
+}
+
+/**
+ * Read the selected content type
+ * @returns {string} MIME type
+ */
+export function getSelectedContentType() {
+  const { contentTypeSelect } = getElements();
+  return contentTypeSelect?.value || DEFAULT_CONTENT_TYPE;
+}
+
+/**
+ * Read the selected storage duration
+ * @returns {number} Number of epochs
+ */
+export function getSelectedEpochs() {
+  const { epochsInput } = getElements();
+  return epochsInput ? Number(epochsInput.value) : MAX_EPOCHS;
+}
+
+/**
+ * Read the selected publish options
+ * @returns {{epochs: number, deletable: boolean, contentType: string, recipient: string|null}}
+ * @throws {Error} If the recipient address is invalid
+ */
+export function getPublishOptions() {
+  const { deletableInput, recipientInput } = getElements();
+
+  const recipientValue = recipientInput?.value.trim() || '';
+  if (recipientValue && !isValidSuiAddress(normalizeSuiAddress(recipientValue))) {
+    throw new Error('Invalid recipient address');
+  }
+
+  return {
+    epochs: getSelectedEpochs(),
+    deletable: deletableInput?.checked || false,
+    contentType: getSelectedContentType(),
+    recipient: recipientValue ? normalizeSuiAddress(recipientValue) : null,
+  };
+}
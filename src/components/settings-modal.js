@@ -2,11 +2,25 @@
  * Settings UI Module - Handles the settings modal interface
  */
 
-import { getSettings, saveSettings, resetSettings, isValidUrl, getDefaults } from '../utils/settings.js';
+import { getSettings, saveSettings, resetSettings, isValidUrl, getDefaults, getActiveNetwork } from '../utils/settings.js';
+import { isValidSuiObjectId } from '@mysten/sui/utils';
+import { NETWORK_PROFILES, DEFAULT_NETWORK, getNetworkProfileById, needsDeploymentIds } from '../config/networks.js';
 import { showToast } from '../utils/notifications.js';
+import { getAggregatorHealth } from '../services/aggregator-pool.js';
+import { resolveAggregators } from '../utils/router.js';
+import { resetMockNetwork } from '../mock/mock-chain.js';
+import { getDevWalletAccounts, generateDevWalletKey, importDevWalletKey, removeDevWalletKey } from '../utils/dev-wallet.js';
 
 let isOpen = false;
 
+const AGGREGATOR_SOURCE_LABELS = {
+  settings: 'your settings',
+  default: 'default (no serving aggregator detected)',
+  aggregator: 'detected from the aggregator serving this app',
+  portal: 'detected from the Walrus Sites portal serving this app',
+  localhost: 'detected local development on localnet, trying the local aggregator first',
+};
+
 /**
  * Initialize the settings modal
  */
@@ -16,10 +30,26 @@ export function initSettingsModal() {
   const closeBtn = document.getElementById('close-settings-btn');
   const saveBtn = document.getElementById('save-settings-btn');
   const resetBtn = document.getElementById('reset-settings-btn');
-  const aggregatorInput = document.getElementById('aggregator-input');
+  const resetMockBtn = document.getElementById('reset-mock-network-btn');
+  const devWalletImportInput = document.getElementById('dev-wallet-import-input');
+  const devWalletImportBtn = document.getElementById('dev-wallet-import-btn');
+  const devWalletGenerateBtn = document.getElementById('dev-wallet-generate-btn');
+  const networkSelect = document.getElementById('network-select');
   const uploadRelayInput = document.getElementById('upload-relay-input');
   const suiRpcInput = document.getElementById('sui-rpc-input');
   
+  networkSelect?.replaceChildren(...Object.values(NETWORK_PROFILES).map((profile) => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.label;
+    return option;
+  }));
+  
+  // Show the saved endpoints of whichever network is picked
+  networkSelect?.addEventListener('change', () => {
+    fillSettingsForm(networkSelect.value);
+  });
+  
   // Open settings
   settingsBtn?.addEventListener('click', () => {
     openSettings();
@@ -47,13 +77,27 @@ export function initSettingsModal() {
     handleResetSettings();
   });
   
-  // Handle Enter key in inputs
-  aggregatorInput?.addEventListener('keydown', (e) => {
+  // Wipe the mock chain and stored blobs
+  resetMockBtn?.addEventListener('click', () => {
+    handleResetMockNetwork();
+  });
+  
+  // Dev wallet keys are saved as soon as they are added
+  devWalletGenerateBtn?.addEventListener('click', () => {
+    handleAddDevWalletKey(() => generateDevWalletKey());
+  });
+  
+  devWalletImportBtn?.addEventListener('click', () => {
+    handleAddDevWalletKey(() => importDevWalletKey(devWalletImportInput.value));
+  });
+  
+  devWalletImportInput?.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') {
-      handleSaveSettings();
+      handleAddDevWalletKey(() => importDevWalletKey(devWalletImportInput.value));
     }
   });
   
+  // Handle Enter key in inputs (the aggregator list is multi-line, so Enter adds a line there)
   uploadRelayInput?.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') {
       handleSaveSettings();
@@ -72,17 +116,12 @@ export function initSettingsModal() {
  */
 export function openSettings() {
   const modal = document.getElementById('settings-modal');
-  const aggregatorInput = document.getElementById('aggregator-input');
-  const uploadRelayInput = document.getElementById('upload-relay-input');
-  const suiRpcInput = document.getElementById('sui-rpc-input');
+  const aggregatorsInput = document.getElementById('aggregators-input');
   
   if (!modal) return;
   
   // Load current settings
-  const settings = getSettings();
-  aggregatorInput.value = settings.aggregator;
-  uploadRelayInput.value = settings.uploadRelay;
-  suiRpcInput.value = settings.suiRpc;
+  fillSettingsForm(getActiveNetwork());
   
   // Update current values display
   updateCurrentSettingsDisplay();
@@ -92,7 +131,7 @@ export function openSettings() {
   isOpen = true;
   
   // Focus first input
-  aggregatorInput?.focus();
+  aggregatorsInput?.focus();
 }
 
 /**
@@ -106,17 +145,58 @@ export function closeSettings() {
   isOpen = false;
 }
 
+/**
+ * Fill the form with the saved settings of a network
+ * @param {string} network - Network ID
+ */
+function fillSettingsForm(network) {
+  const settings = getSettings(network);
+  const defaults = getDefaults(network);
+  const profile = getNetworkProfileById(network);
+  
+  const aggregatorsInput = document.getElementById('aggregators-input');
+  const uploadRelayInput = document.getElementById('upload-relay-input');
+  const suiRpcInput = document.getElementById('sui-rpc-input');
+  
+  document.getElementById('network-select').value = network;
+  aggregatorsInput.value = settings.aggregators.join('\n');
+  aggregatorsInput.placeholder = defaults.aggregator;
+  uploadRelayInput.value = settings.uploadRelay;
+  uploadRelayInput.placeholder = defaults.uploadRelay;
+  suiRpcInput.value = settings.suiRpc;
+  suiRpcInput.placeholder = defaults.suiRpc;
+  
+  document.getElementById('mock-network-fields').classList.toggle('hidden', !profile.mock);
+  document.getElementById('dev-wallet-fields').classList.toggle('hidden', !profile.devWallet);
+  renderDevWalletAccounts();
+  
+  // Networks without a public Walrus deployment need its object IDs
+  document.getElementById('walrus-deployment-fields').classList.toggle('hidden', !needsDeploymentIds(profile));
+  document.getElementById('walrus-system-object-input').value = settings.systemObjectId;
+  document.getElementById('walrus-staking-pool-input').value = settings.stakingPoolId;
+}
+
 /**
  * Update the display of current settings
  */
 function updateCurrentSettingsDisplay() {
   const settings = getSettings();
-  const currentAggregator = document.getElementById('current-aggregator');
+  const currentNetwork = document.getElementById('current-network');
+  const currentAggregatorSource = document.getElementById('current-aggregator-source');
+  const currentAggregators = document.getElementById('current-aggregators');
   const currentUploadRelay = document.getElementById('current-upload-relay');
   const currentSuiRpc = document.getElementById('current-sui-rpc');
   
-  if (currentAggregator) {
-    currentAggregator.textContent = settings.aggregator;
+  if (currentNetwork) {
+    currentNetwork.textContent = getNetworkProfileById(settings.network).label;
+  }
+  
+  if (currentAggregatorSource) {
+    currentAggregatorSource.textContent = AGGREGATOR_SOURCE_LABELS[resolveAggregators().source];
+  }
+  
+  if (currentAggregators) {
+    currentAggregators.replaceChildren(...getAggregatorHealth().map(createAggregatorHealthItem));
   }
   
   if (currentUploadRelay) {
@@ -128,22 +208,124 @@ function updateCurrentSettingsDisplay() {
   }
 }
 
+/**
+ * Build a list item showing an aggregator and how it has been performing
+ * @param {Object} health - Entry from getAggregatorHealth()
+ * @returns {HTMLLIElement} List item
+ */
+function createAggregatorHealthItem(health) {
+  const item = document.createElement('li');
+  const url = document.createElement('code');
+  url.textContent = health.url;
+  
+  const status = document.createElement('span');
+  status.className = 'aggregator-health';
+  if (health.demoted) {
+    status.classList.add('demoted');
+    status.textContent = 'failing, tried last';
+  } else if (health.latencyMs !== null) {
+    status.classList.add('healthy');
+    status.textContent = `~${health.latencyMs} ms`;
+  } else {
+    status.textContent = 'not used yet';
+  }
+  status.title = `${health.successes} successful, ${health.failures} failed requests`;
+  
+  item.append(url, status);
+  return item;
+}
+
+/**
+ * Show the dev wallet's accounts, each with a remove button
+ */
+function renderDevWalletAccounts() {
+  const list = document.getElementById('dev-wallet-accounts');
+  const accounts = getDevWalletAccounts();
+  
+  if (accounts.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'field-hint';
+    empty.textContent = 'No keys yet';
+    list.replaceChildren(empty);
+    return;
+  }
+  
+  list.replaceChildren(...accounts.map(({ address, label }) => {
+    const item = document.createElement('li');
+    item.className = 'dev-wallet-account';
+    
+    const addressEl = document.createElement('code');
+    addressEl.textContent = address;
+    addressEl.title = label;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn-secondary btn-small';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      if (confirm(`Remove ${address} from the dev wallet? Its key is not stored anywhere else.`)) {
+        removeDevWalletKey(address);
+        renderDevWalletAccounts();
+      }
+    });
+    
+    item.append(addressEl, removeBtn);
+    return item;
+  }));
+}
+
+/**
+ * Add a key to the dev wallet and refresh the account list
+ * @param {Function} addKey - Generates or imports the key and returns its address
+ */
+function handleAddDevWalletKey(addKey) {
+  try {
+    const address = addKey();
+    document.getElementById('dev-wallet-import-input').value = '';
+    renderDevWalletAccounts();
+    showToast(`Added ${address.slice(0, 10)}... to the dev wallet`, 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
 /**
  * Handle save settings button click
  */
 function handleSaveSettings() {
-  const aggregatorInput = document.getElementById('aggregator-input');
+  const network = document.getElementById('network-select').value;
+  const systemObjectInput = document.getElementById('walrus-system-object-input');
+  const stakingPoolInput = document.getElementById('walrus-staking-pool-input');
+  const aggregatorsInput = document.getElementById('aggregators-input');
   const uploadRelayInput = document.getElementById('upload-relay-input');
   const suiRpcInput = document.getElementById('sui-rpc-input');
   
-  const aggregator = aggregatorInput.value.trim();
+  const aggregators = [...new Set(
+    aggregatorsInput.value.split('\n').map(line => line.trim().replace(/\/+$/, '')).filter(Boolean)
+  )];
   const uploadRelay = uploadRelayInput.value.trim();
   const suiRpc = suiRpcInput.value.trim();
+  const systemObjectId = systemObjectInput.value.trim();
+  const stakingPoolId = stakingPoolInput.value.trim();
+  
+  // Validate Walrus deployment IDs for networks that need them
+  if (needsDeploymentIds(getNetworkProfileById(network))) {
+    for (const [input, id, name] of [
+      [systemObjectInput, systemObjectId, 'system object'],
+      [stakingPoolInput, stakingPoolId, 'staking object'],
+    ]) {
+      if (!isValidSuiObjectId(id)) {
+        showToast(`Enter a valid Walrus ${name} ID (0x...) for this network`, 'error');
+        input.focus();
+        return;
+      }
+    }
+  }
   
   // Validate URLs
-  if (aggregator && !isValidUrl(aggregator)) {
-    showToast('Invalid aggregator URL. Must start with http:// or https://', 'error');
-    aggregatorInput.focus();
+  const invalidAggregator = aggregators.find(url => !isValidUrl(url));
+  if (invalidAggregator) {
+    showToast(`Invalid aggregator URL: ${invalidAggregator}. Must start with http:// or https://`, 'error');
+    aggregatorsInput.focus();
     return;
   }
   
@@ -160,17 +342,29 @@ function handleSaveSettings() {
   }
   
   // Use defaults if empty
-  const defaults = getDefaults();
+  const defaults = getDefaults(network);
   const newSettings = {
-    aggregator: aggregator || defaults.aggregator,
+    network,
+    aggregators: aggregators.length > 0 ? aggregators : defaults.aggregators,
     uploadRelay: uploadRelay || defaults.uploadRelay,
     suiRpc: suiRpc || defaults.suiRpc,
+    systemObjectId,
+    stakingPoolId,
   };
   
+  const networkChanged = network !== getActiveNetwork();
+  
   // Save settings
   const success = saveSettings(newSettings);
   
   if (success) {
+    if (networkChanged) {
+      // Loaded pages, wallet state and caches all belong to the old network
+      showToast(`Switched to ${getNetworkProfileById(network).label}, reloading...`, 'success');
+      setTimeout(() => window.location.reload(), 1000);
+      return;
+    }
+    
     showToast('Settings saved successfully!', 'success');
     updateCurrentSettingsDisplay();
     
@@ -193,22 +387,52 @@ function handleResetSettings() {
     return;
   }
   
+  const networkChanged = getActiveNetwork() !== DEFAULT_NETWORK;
   const success = resetSettings();
   
   if (success) {
+    if (networkChanged) {
+      showToast(`Settings reset, switching back to ${getNetworkProfileById(DEFAULT_NETWORK).label}...`, 'success');
+      setTimeout(() => window.location.reload(), 1000);
+      return;
+    }
+    
     showToast('Settings reset to defaults', 'success');
     
     // Update UI
-    const defaults = getDefaults();
-    document.getElementById('aggregator-input').value = defaults.aggregator;
-    document.getElementById('upload-relay-input').value = defaults.uploadRelay;
-    document.getElementById('sui-rpc-input').value = defaults.suiRpc;
+    fillSettingsForm(DEFAULT_NETWORK);
     updateCurrentSettingsDisplay();
   } else {
     showToast('Failed to reset settings', 'error');
   }
 }
 
+/**
+ * Handle reset mock network button click
+ */
+async function handleResetMockNetwork() {
+  const confirmed = confirm('Delete all mock network blobs and transactions and refund the test accounts?');
+  
+  if (!confirmed) {
+    return;
+  }
+  
+  try {
+    await resetMockNetwork();
+  } catch (error) {
+    console.error('Failed to reset mock network:', error);
+    showToast('Failed to reset mock network', 'error');
+    return;
+  }
+  
+  if (getNetworkProfileById(getActiveNetwork()).mock) {
+    showToast('Mock network reset, reloading...', 'success');
+    setTimeout(() => window.location.reload(), 1000);
+  } else {
+    showToast('Mock network reset', 'success');
+  }
+}
+
 /**
  * Check if settings modal is open
  */
@@ -0,0 +1,121 @@
+/**
+ * Table of Contents Component
+ * Sidebar listing a page's headings that highlights the section being read,
+ * and scrolling to #section links within pages
+ */
+
+import { h, setChildren } from '../utils/dom.js';
+import { CONTENT_ID_PREFIX, findSection } from '../utils/headings.js';
+
+const TOC_HEADINGS = 'h1[id], h2[id], h3[id], h4[id]';
+
+// Short pages don't need one
+const MIN_HEADINGS = 2;
+
+// Matches the breakpoint where the sidebar moves above the page (main.css)
+const WIDE_LAYOUT_QUERY = '(min-width: 1101px)';
+
+// A heading counts as current once it passes just under the sticky navbar
+const ACTIVE_HEADING_MARGIN = '-80px 0px -70% 0px';
+
+let headingObserver = null;
+
+function getSlug(heading) {
+  return heading.id.startsWith(CONTENT_ID_PREFIX) ? heading.id.slice(CONTENT_ID_PREFIX.length) : heading.id;
+}
+
+/**
+ * Scroll to the section a #fragment points to
+ * @param {HTMLElement} container - Element the page was rendered into
+ * @param {string} hash - Fragment, e.g. '#getting-started'
+ * @returns {boolean} True if the page has that section
+ */
+export function scrollToSection(container, hash) {
+  const target = container && hash ? findSection(container, hash) : null;
+  target?.scrollIntoView({ block: 'start' });
+  return !!target;
+}
+
+/**
+ * List the headings of the page in the sidebar
+ * @param {HTMLElement} container - Element the page was rendered into
+ */
+export function renderTableOfContents(container) {
+  clearTableOfContents();
+
+  const toc = document.getElementById('page-toc');
+  const list = document.getElementById('page-toc-list');
+  if (!toc || !list) return;
+
+  // Footnotes have their own heading, which isn't part of the page outline
+  const headings = [...container.querySelectorAll(TOC_HEADINGS)]
+    .filter(heading => !heading.closest('.footnotes'));
+  if (headings.length < MIN_HEADINGS) return;
+
+  const topLevel = Math.min(...headings.map(heading => Number(heading.tagName[1])));
+  const links = new Map();
+
+  setChildren(list, headings.map(heading => {
+    const link = h('a', { href: `#${encodeURIComponent(getSlug(heading))}` }, heading.textContent);
+    links.set(heading, link);
+    return h('li', { class: `toc-level-${Number(heading.tagName[1]) - topLevel + 1}` }, link);
+  }));
+
+  // Follow the scroll position: the first heading in the band at the top of the window is current
+  const visible = new Set();
+  headingObserver = new IntersectionObserver((entries) => {
+    for (const entry of entries) {
+      if (entry.isIntersecting) {
+        visible.add(entry.target);
+      } else {
+        visible.delete(entry.target);
+      }
+    }
+
+    const current = headings.find(heading => visible.has(heading));
+    if (current) {
+      links.forEach((link, heading) => link.classList.toggle('active', heading === current));
+    }
+  }, { rootMargin: ACTIVE_HEADING_MARGIN });
+  headings.forEach(heading => headingObserver.observe(heading));
+
+  // Open beside the page, collapsed above it on narrow screens
+  toc.querySelector('details').open = window.matchMedia(WIDE_LAYOUT_QUERY).matches;
+  toc.classList.remove('hidden');
+}
+
+/**
+ * Empty and hide the sidebar
+ */
+export function clearTableOfContents() {
+  headingObserver?.disconnect();
+  headingObserver = null;
+
+  document.getElementById('page-toc-list')?.replaceChildren();
+  document.getElementById('page-toc')?.classList.add('hidden');
+}
+
+/**
+ * Scroll to sections when #section links in the page or sidebar are followed,
+ * and when going back and forward between them
+ * @param {HTMLElement} container - Element pages are rendered into
+ */
+export function initSectionLinks(container) {
+  document.addEventListener('click', (event) => {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+
+    const link = event.target.closest?.('a[href^="#"]');
+    if (!link || !link.closest('#content, #page-toc') || !findSection(container, link.hash)) return;
+
+    // Page IDs are prefixed, so the browser can't find the target by itself
+    event.preventDefault();
+    if (link.hash !== window.location.hash) {
+      history.pushState(null, '', link.hash);
+    }
+    scrollToSection(container, link.hash);
+  });
+
+  window.addEventListener('hashchange', () => scrollToSection(container, window.location.hash));
+}
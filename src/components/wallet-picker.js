@@ -2,6 +2,9 @@
  * Wallet & Account Picker Modals - Vanilla JS components for selecting a Sui wallet and account
  */
 
+import { getTransactionSupportIssue } from '../utils/wallet-features.js';
+import { getSuiChain } from '../services/network.js';
+
 let modalEl = null;
 
 function getOrCreateModal() {
@@ -126,7 +129,7 @@ function showPickerModal({ title, subtitle, hint, items }) {
 }
 
 /**
- * Show the wallet picker modal.
+ * Show the wallet picker modal. Wallets that can't sign on the active network say why.
  * @param {Array} wallets - Wallet Standard wallet objects
  * @returns {Promise<object|null>} Selected wallet or null
  */
@@ -138,6 +141,7 @@ export function showWalletPicker(wallets) {
     items: wallets.map(wallet => ({
       iconSrc: wallet.icon || '',
       label: wallet.name,
+      sublabel: getTransactionSupportIssue(wallet, getSuiChain()) || '',
       value: wallet,
     })),
   });
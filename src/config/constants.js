@@ -1,94 +1,102 @@
 /**
  * Configuration Constants
- * Centralized configuration for network endpoints, contract addresses, and system parameters
+ * Centralized configuration for storage, publishing, caching and aggregator parameters
  */
 
+import { NETWORK_PROFILES } from './networks.js';
+
+// Chain, Walrus package, coin types and endpoints differ per network and
+// live in the network profiles in ./networks.js
+
 // ============================================================================
-// Network Configuration
+// Storage Configuration
 // ============================================================================
 
 /**
- * Sui mainnet RPC endpoint
- * @type {string}
+ * Maximum storage epochs (approximately 2 years)
+ * Used for default blob storage duration
+ * @type {number}
  */
-export const SUI_RPC_URL = 'https://fullnode.mainnet.sui.io:443';
+export const MAX_EPOCHS = 50;
 
-// ============================================================================
-// Walrus System Objects (Mainnet)
-// ============================================================================
+/**
+ * Default epochs for blob extension operations
+ * @type {number}
+ */
+export const DEFAULT_EXTENSION_EPOCHS = 5;
 
 /**
- * Walrus package address on Sui mainnet
- * @type {string}
+ * Walrus storage is priced per unit of 1 MiB of encoded size
+ * @type {number}
  */
-export const WALRUS_PACKAGE = '0xfdc88f7d7cf30afab2f82e8380d11ee8f70efb90e863d1de8616fae1bb09ea77';
+export const BYTES_PER_STORAGE_UNIT = 1024 * 1024;
 
 /**
- * Walrus system object ID
- * @type {string}
+ * Maximum upload relay tip accepted when publishing, in MIST (0.01 SUI)
+ * @type {number}
  */
-export const WALRUS_SYSTEM_OBJECT = '0xf8f16d261f52720faf5518b11ae8b160b0d9a0db2bfbf60ec0eccf02e4d01e29';
+export const UPLOAD_RELAY_MAX_TIP = 10_000_000;
 
 /**
- * Walrus staking object (contains epoch information)
- * @type {string}
+ * Rough computation gas units used by one publish transaction (register or certify)
+ * Multiplied by the reference gas price for the SUI gas estimate
+ * @type {number}
  */
-export const WALRUS_STAKING_OBJECT = '0xd5d87fff8aa78cd29294411bcd8f118644f2e7bee6dc93bc48156ce00a1e1bef';
+export const PUBLISH_GAS_UNITS_ESTIMATE = 5_000;
 
 /**
- * Walrus blob type identifier
- * @type {string}
+ * Rough Sui storage fee for the objects one publish transaction creates, in MIST
+ * @type {number}
  */
-export const WALRUS_BLOB_TYPE = '0xfdc88f7d7cf30afab2f82e8380d11ee8f70efb90e863d1de8616fae1bb09ea77::blob::Blob';
+export const PUBLISH_STORAGE_FEE_ESTIMATE = 5_000_000;
 
 // ============================================================================
-// Token Configuration
+// Aggregator Failover
 // ============================================================================
 
 /**
- * WAL coin type (used for storage payments)
- * @type {string}
+ * How long to wait for an aggregator to start responding before giving up on it
+ * @type {number}
  */
-export const WAL_COIN_TYPE = '0x356a26eb9e012a68958082340d4c4116e7f55615cf27affcff209cf0ae544f59::wal::WAL';
+export const AGGREGATOR_TIMEOUT_MS = 10_000;
 
-// ============================================================================
-// Storage Configuration
-// ============================================================================
+/**
+ * How long to wait on an aggregator before also asking the next one
+ * @type {number}
+ */
+export const AGGREGATOR_HEDGE_DELAY_MS = 1_500;
 
 /**
- * Maximum storage epochs (approximately 2 years)
- * Used for default blob storage duration
+ * Consecutive failures after which an aggregator is moved to the back of the list
  * @type {number}
  */
-export const MAX_EPOCHS = 50;
+export const AGGREGATOR_FAILURE_THRESHOLD = 3;
 
 /**
- * Default epochs for blob extension operations
+ * How long a demoted aggregator stays at the back before getting another chance
  * @type {number}
  */
-export const DEFAULT_EXTENSION_EPOCHS = 5;
+export const AGGREGATOR_DEMOTION_MS = 5 * 60 * 1000;
 
 // ============================================================================
-// Network Settings
+// Aggregator Detection
 // ============================================================================
 
 /**
- * Walrus network identifier
- * @type {string}
+ * Walrus Sites portals, which serve sites but not the aggregator API,
+ * mapped to the network they serve
+ * @type {Array<{domain: string, network: string}>}
  */
-export const WALRUS_NETWORK = 'mainnet';
+export const WALRUS_SITES_PORTALS = [
+  { domain: 'wal.app', network: 'mainnet' },
+  { domain: 'walrus.site', network: 'testnet' },
+];
 
 /**
- * Walrus upload relay endpoint
+ * Default address of an aggregator started with `walrus aggregator` for local development
  * @type {string}
  */
-export const WALRUS_UPLOAD_RELAY = 'https://upload.walrus.site';
-
-/**
- * Walrus blob read endpoint
- * @type {string}
- */
-export const WALRUS_READ_ENDPOINT = 'https://blobid.walrus.site';
+export const LOCAL_AGGREGATOR_URL = NETWORK_PROFILES.localnet.aggregator;
 
 // ============================================================================
 // Application Constants
@@ -100,6 +108,17 @@ export const WALRUS_READ_ENDPOINT = 'https://blobid.walrus.site';
  */
 export const DEFAULT_CONTENT_TYPE = 'text/markdown';
 
+/**
+ * Content types offered in the editor's publish options
+ * @type {Array<{value: string, label: string}>}
+ */
+export const PUBLISH_CONTENT_TYPES = [
+  { value: 'text/markdown', label: 'Markdown' },
+  { value: 'text/html', label: 'HTML' },
+  { value: 'text/plain', label: 'Plain text' },
+  { value: 'application/json', label: 'JSON' },
+];
+
 /**
  * Custom attribute name for page titles
  * @type {string}
@@ -111,3 +130,19 @@ export const PAGE_TITLE_ATTRIBUTE = 'x-page-title';
  * @type {string}
  */
 export const CONTENT_TYPE_ATTRIBUTE = 'content-type';
+
+/**
+ * Custom attribute linking a page to the object ID of the version it replaces
+ * @type {string}
+ */
+export const PREVIOUS_VERSION_ATTRIBUTE = 'x-previous-version';
+
+// ============================================================================
+// Local Cache
+// ============================================================================
+
+/**
+ * Size budget for page content cached in IndexedDB; least recently read blobs are evicted first
+ * @type {number}
+ */
+export const BLOB_CACHE_MAX_BYTES = 50 * 1024 * 1024;
@@ -0,0 +1,121 @@
+/**
+ * Network Profiles
+ * Chain, Walrus deployment and default endpoints for each supported network.
+ * The active profile is chosen in the settings modal; endpoints can be
+ * overridden per network there too.
+ */
+
+/**
+ * Network used when none has been selected
+ * @type {string}
+ */
+export const DEFAULT_NETWORK = 'mainnet';
+
+/**
+ * @typedef {Object} NetworkProfile
+ * @property {string} id - Profile identifier
+ * @property {string} label - Name shown in the UI
+ * @property {string} chain - Wallet Standard chain identifier
+ * @property {'mainnet'|'testnet'|null} walrusNetwork - Built-in Walrus SDK network, or null
+ *   when the Walrus system object and staking pool IDs must be configured
+ * @property {string|null} blobType - Walrus Blob Move type, or null to read it from chain
+ * @property {string|null} walCoinType - WAL coin type, or null to read it from chain
+ * @property {string} suiRpc - Default Sui RPC URL
+ * @property {string} aggregator - Default aggregator URL
+ * @property {string} uploadRelay - Default upload relay URL
+ * @property {string|null} explorer - Sui explorer base URL, or null if there is none
+ * @property {boolean} [mock] - Served by the in-browser mock network instead of real endpoints
+ * @property {boolean} [devWallet] - Offer the built-in dev wallet backed by locally stored keys
+ */
+
+/**
+ * Supported networks
+ * @type {Object<string, NetworkProfile>}
+ */
+export const NETWORK_PROFILES = {
+  mainnet: {
+    id: 'mainnet',
+    label: 'Mainnet',
+    chain: 'sui:mainnet',
+    walrusNetwork: 'mainnet',
+    blobType: '0xfdc88f7d7cf30afab2f82e8380d11ee8f70efb90e863d1de8616fae1bb09ea77::blob::Blob',
+    walCoinType: '0x356a26eb9e012a68958082340d4c4116e7f55615cf27affcff209cf0ae544f59::wal::WAL',
+    suiRpc: 'https://fullnode.mainnet.sui.io:443',
+    aggregator: 'https://aggregator.walrus-mainnet.walrus.space',
+    uploadRelay: 'https://upload-relay.mainnet.walrus.space',
+    explorer: 'https://suivision.xyz',
+  },
+  testnet: {
+    id: 'testnet',
+    label: 'Testnet',
+    chain: 'sui:testnet',
+    walrusNetwork: 'testnet',
+    // Testnet is redeployed from time to time, so types are read from the system object
+    blobType: null,
+    walCoinType: null,
+    suiRpc: 'https://fullnode.testnet.sui.io:443',
+    aggregator: 'https://aggregator.walrus-testnet.walrus.space',
+    uploadRelay: 'https://upload-relay.testnet.walrus.space',
+    explorer: 'https://testnet.suivision.xyz',
+  },
+  devnet: {
+    id: 'devnet',
+    label: 'Devnet',
+    chain: 'sui:devnet',
+    // There is no public Walrus deployment on devnet; point at your own
+    walrusNetwork: null,
+    blobType: null,
+    walCoinType: null,
+    suiRpc: 'https://fullnode.devnet.sui.io:443',
+    aggregator: 'http://127.0.0.1:31415',
+    uploadRelay: 'http://127.0.0.1:3000',
+    explorer: 'https://devnet.suivision.xyz',
+  },
+  localnet: {
+    id: 'localnet',
+    label: 'Localnet',
+    chain: 'sui:localnet',
+    walrusNetwork: null,
+    blobType: null,
+    walCoinType: null,
+    suiRpc: 'http://127.0.0.1:9000',
+    aggregator: 'http://127.0.0.1:31415',
+    uploadRelay: 'http://127.0.0.1:3000',
+    explorer: null,
+    devWallet: true,
+  },
+  mock: {
+    id: 'mock',
+    label: 'Mock (offline)',
+    chain: 'sui:mock',
+    // Chain, aggregator and relay are simulated in the browser; see src/mock/
+    mock: true,
+    walrusNetwork: null,
+    blobType: '0x0000000000000000000000000000000000000000000000000000000000001a1f::blob::Blob',
+    walCoinType: '0x00000000000000000000000000000000000000000000000000000000000000a1::wal::WAL',
+    suiRpc: 'https://fullnode.mock.invalid',
+    aggregator: 'https://aggregator.mock.invalid',
+    uploadRelay: 'https://upload-relay.mock.invalid',
+    explorer: null,
+    devWallet: true,
+  },
+};
+
+/**
+ * Look up a network profile, falling back to the default network for unknown IDs
+ * @param {string} id - Profile identifier
+ * @returns {NetworkProfile} Network profile
+ */
+export function getNetworkProfileById(id) {
+  return NETWORK_PROFILES[id] || NETWORK_PROFILES[DEFAULT_NETWORK];
+}
+
+/**
+ * Whether a network has no public Walrus deployment, so its system object and
+ * staking pool IDs have to be configured in settings
+ * @param {NetworkProfile} profile - Network profile
+ * @returns {boolean} True if deployment IDs are required
+ */
+export function needsDeploymentIds(profile) {
+  return !profile.walrusNetwork && !profile.mock;
+}
@@ -5,10 +5,18 @@
 import './styles/main.css';
 import EasyMDE from 'easymde';
 import 'easymde/dist/easymde.min.css';
+import 'highlight.js/styles/github.css';
 
-import { getPageId, showView, getAddress } from './utils/router.js';
-import { fetchBlob } from './utils/walrus.js';
-import { renderMarkdown } from './utils/markdown.js';
+import {
+  initRouter,
+  getRoute,
+  showView,
+  getPageUrl,
+  getAddressUrl,
+  navigateToPage,
+  navigateToAddress
+} from './utils/router.js';
+import { fetchVerifiedBlob } from './utils/walrus.js';
 import {
   connectWallet,
   disconnectWallet,
@@ -19,12 +27,14 @@ import {
 } from './utils/wallet.js';
 import {
   showLoading,
+  showLoadingSteps,
   hideLoading,
   showError,
   showSuccess,
   updateWalletButton,
   showMyPagesButton,
-  showMyPagesSection
+  showMyPagesSection,
+  showToast
 } from './utils/notifications.js';
 import { 
   uploadToWalrus, 
@@ -39,27 +49,80 @@ import {
   extendBlobsBatch,
   deleteBlobsBatch
 } from './utils/batch-operations.js';
+import { getVersionHistory } from './services/page-versions.js';
+import { getCachedUserBlobs } from './services/blob-query.js';
+import { diagnosePageError } from './services/page-diagnostics.js';
+import { resumeUpload } from './services/walrus-upload.js';
+import { getPendingUploads, findUploadForBlob } from './services/upload-store.js';
 import { initSettingsModal } from './components/settings-modal.js';
+import { showExtendDialog } from './components/extend-dialog.js';
+import { renderCostBreakdown, showCostStatus, hideCostBreakdown } from './components/cost-breakdown.js';
+import {
+  initPublishOptions,
+  refreshEpochTiming,
+  resetPublishOptions,
+  getPublishOptions,
+  getSelectedEpochs,
+  getSelectedContentType,
+  setPublishContentType
+} from './components/publish-options.js';
+import { renderContent, clearContent } from './components/content-viewer.js';
+import { createUserPageCard } from './components/blob-card.js';
+import {
+  renderTableOfContents,
+  clearTableOfContents,
+  scrollToSection,
+  initSectionLinks
+} from './components/table-of-contents.js';
+import { initLinkWarnings } from './components/link-warning.js';
+import { initPageLinkCards } from './components/page-link-card.js';
+import { h, setChildren } from './utils/dom.js';
+import { createHtmlPageFrame } from './utils/html-page.js';
+import { renderMarkdown } from './utils/markdown.js';
+import { renderDiagrams } from './utils/diagrams.js';
+import { initCodeCopyButtons } from './utils/code-blocks.js';
 import { showWalletDropdown, hideWalletDropdown, isWalletDropdownOpen } from './components/wallet-dropdown.js';
-import { WAL_COIN_TYPE } from './config/constants.js';
+import { getWalCoinType, getExplorerUrl, createSuiClient, getNetworkProfile } from './services/network.js';
 
 // Global state
 let editor = null;
 let currentPageObjectId = null; // Track current page for extension
+let currentAddressView = null; // Address whose pages are being listed; discards stale loads
 let currentPageOwner = null; // Track current page owner for tipping
 let currentPageMetadata = null; // Track metadata for extension calculations
+let currentPageContent = null; // Track raw content for editing
+let currentPageContentType = null; // Track content type for editing
+let currentPageTitle = null; // Track title for editing
+let editingPreviousVersion = null; // Object ID being replaced when editing
+let costEstimateTimer = null; // Debounce timer for the editor cost estimate
+let costEstimateRequest = 0; // Discards stale cost estimates
 let selectedBlobs = new Set(); // Track selected blob object IDs
 let currentBlobs = []; // Store current blob list
+let notFoundPage = null; // Page shown in the not-found view, with any saved copy
 
 // Initialize app
 async function init() {
   // Initialize settings modal
   initSettingsModal();
+  
+  // Initialize the editor's publish options panel
+  initPublishOptions({ onChange: scheduleCostEstimate });
+
+  // Copy buttons on code blocks in pages and the editor preview
+  initCodeCopyButtons();
+  
+  // #section links within pages
+  initSectionLinks(document.getElementById('content'));
+  
+  // Warnings for suspicious external links, and previews of links to other pages
+  initLinkWarnings();
+  initPageLinkCards();
 
   // React to account changes in the wallet extension
   onAccountChange((newAddress) => {
     updateWalletButton(true, newAddress);
     updateProfileLink(newAddress);
+    updateEditButton();
   });
 
   // Try to restore wallet connection from previous session
@@ -72,31 +135,47 @@ async function init() {
     updateProfileLink(restoredAddress);
   }
   
-  const pageId = getPageId();
-  const addressParam = getAddress();
+  // Switch views in place from now on, then show the one in the URL
+  initRouter(showRoute);
+  await showRoute(getRoute());
+  
+  setupEventListeners();
+}
+
+// Show the view for a route; runs on load and on every navigation
+async function showRoute(route) {
+  hideAddressInputPanel();
+  currentAddressView = null;
   
-  if (pageId) {
+  if (route.view === 'page') {
     // Show viewer mode
-    await loadPage(pageId);
-  } else if (addressParam) {
+    await loadPage(route.pageId);
+    return;
+  }
+  
+  // Leaving the viewer; drop any page load still in flight
+  currentPageObjectId = null;
+  resetPageDetails();
+  hideLoading();
+  
+  if (route.view === 'address') {
     // Show address view
-    await loadAddressView(addressParam);
+    await loadAddressView(route.address);
   } else {
     // Show landing page
     showView('landing');
     
-    // Load user's pages if wallet was restored
-    if (restoredAddress) {
+    // Load user's pages if a wallet is connected
+    if (isWalletConnected()) {
       await loadUserPages();
     }
   }
-  
-  setupEventListeners();
 }
 
 // Load address view
 async function loadAddressView(address) {
   showView('address-view');
+  currentAddressView = address;
   
   const titleEl = document.getElementById('address-title');
   const explorerLinkEl = document.getElementById('address-explorer-link');
@@ -107,76 +186,93 @@ async function loadAddressView(address) {
     titleEl.textContent = `Pages Published by ${shortAddress}`;
   }
   
-  if (explorerLinkEl) {
-    explorerLinkEl.href = `https://suivision.xyz/account/${address}`;
+  const accountUrl = getExplorerUrl('account', address);
+  if (explorerLinkEl && accountUrl) {
+    explorerLinkEl.href = accountUrl;
     explorerLinkEl.style.display = 'inline-flex';
   }
   
   if (!listEl) return;
   
-  listEl.innerHTML = '<div class="loading">Loading pages...</div>';
+  // Show the pages seen on the last visit while the list is revalidated
+  const cachedBlobs = await getCachedUserBlobs(address);
+  
+  // Ignore results if the user navigated elsewhere meanwhile
+  if (currentAddressView !== address) return;
+  
+  if (cachedBlobs.length > 0) {
+    renderAddressPages(listEl, address, cachedBlobs);
+  } else {
+    setChildren(listEl, h('div', { class: 'loading' }, 'Loading pages...'));
+  }
   
   try {
     // Query blobs for this address
-    const blobs = await getUserBlobs(address);
-    
-    if (blobs.length === 0) {
-      listEl.innerHTML = '<p class="info-text">No published pages found.</p>';
-      return;
-    }
-    
-    // Filter to only show blobs where sender matches the address (their "My Pages")
-    const myPages = blobs.filter(blob => 
-      blob.sender && blob.sender.toLowerCase() === address.toLowerCase()
-    );
-    
-    if (myPages.length === 0) {
-      listEl.innerHTML = '<p class="info-text">No published pages found.</p>';
-      return;
-    }
-    
-    // Render page cards (read-only, no checkboxes)
-    let html = '';
-    for (const blob of myPages) {
-      html += `
-        <div class="page-card">
-          <div class="page-card-header">
-            <div class="page-title-section">
-              <h3>
-                <a href="?page=${blob.objectId}" class="page-title-link">${blob.title || 'Untitled'}</a>
-              </h3>
-            </div>
-            <span class="expiry-epoch">Epoch ${blob.expiryEpoch || 'N/A'}</span>
-          </div>
-          <div class="page-actions">
-            <button class="btn-primary btn-small" onclick="window.location.href='?page=${blob.objectId}'">View</button>
-          </div>
-        </div>
-      `;
-    }
-    listEl.innerHTML = html;
-    
+    const blobs = await getUserBlobs(address, { throwOnError: true });
+    if (currentAddressView !== address) return;
+    renderAddressPages(listEl, address, blobs);
   } catch (error) {
+    if (currentAddressView !== address) return;
     console.error('Error loading address pages:', error);
-    listEl.innerHTML = '<p class="info-text">Failed to load pages</p>';
+    // Offline, the cached list stays up
+    if (cachedBlobs.length > 0) {
+      showToast('Could not reach the network. Showing pages as last seen in this browser.', 'warning', 5000);
+    } else {
+      setChildren(listEl, h('p', { class: 'info-text' }, 'Failed to load pages'));
+    }
   }
 }
 
+// Render the read-only list of pages published by an address
+function renderAddressPages(listEl, address, blobs) {
+  // Filter to only show blobs where sender matches the address (their "My Pages")
+  const myPages = blobs.filter(blob => 
+    blob.sender && blob.sender.toLowerCase() === address.toLowerCase()
+  );
+  
+  if (myPages.length === 0) {
+    setChildren(listEl, h('p', { class: 'info-text' }, 'No published pages found.'));
+    return;
+  }
+  
+  // Render page cards (read-only, no checkboxes)
+  setChildren(listEl, myPages.map(blob => createUserPageCard(blob)));
+}
+
 // Load and display a page
 async function loadPage(objectId) {
   showView('viewer');
   showLoading('Loading page...');
   currentPageObjectId = objectId; // Store for extension feature
+  currentPageOwner = null;
+  currentPageMetadata = null;
+  currentPageContent = null;
+  currentPageContentType = null;
+  currentPageTitle = null;
+  resetPageDetails();
+  resetVersionDisplay();
+  updateVerificationBadge(null);
+  updateEditButton();
   
   try {
-    // Fetch blob content
-    const content = await fetchBlob(objectId);
+    // Fetch blob content, checked against its blob ID, and how to show it
+    // Blob IDs have no on-chain attributes, so they render as Markdown
+    const [{ data, verification }, contentType] = await Promise.all([
+      fetchVerifiedBlob(objectId),
+      objectId.startsWith('0x') ? getContentType(objectId) : null,
+    ]);
+    
+    // Ignore results if the user navigated elsewhere meanwhile
+    if (currentPageObjectId !== objectId) return;
+    
+    updateVerificationBadge(verification);
     
-    // Always render as markdown
-    const html = renderMarkdown(content);
     const contentEl = document.getElementById('content');
     if (contentEl) {
-      contentEl.innerHTML = html;
+      // Only text content can be edited
+      currentPageContent = renderContent(contentEl, data, contentType, { fileName: objectId }).text;
+      currentPageContentType = contentType;
+      renderTableOfContents(contentEl);
     }
     
     // Fetch and display metadata (only if objectId starts with 0x)
@@ -202,23 +298,26 @@ async function loadPage(objectId) {
           if (tipOwnerBtn) {
             tipOwnerBtn.style.display = 'inline-block';
           }
-          // Display owner icon with link to SuiVision
-          if (ownerLink) {
-            ownerLink.href = `https://suivision.xyz/account/${currentPageOwner}`;
+          // Display owner icon with link to the explorer
+          const ownerUrl = getExplorerUrl('account', currentPageOwner);
+          if (ownerLink && ownerUrl) {
+            ownerLink.href = ownerUrl;
             ownerLink.title = `Owner: ${currentPageOwner}`;
             ownerLink.style.display = 'inline-flex';
           }
         }
         
         // Set up Sui explorer link
-        if (suiExplorerLink) {
-          suiExplorerLink.href = `https://suivision.xyz/object/${objectId}`;
+        const objectUrl = getExplorerUrl('object', objectId);
+        if (suiExplorerLink && objectUrl) {
+          suiExplorerLink.href = objectUrl;
           suiExplorerLink.style.display = 'inline-block';
         }
         
         // Fetch page title from attributes
         if (pageTitleEl) {
-          const pageTitle = await getPageTitle(objectId);
+          const pageTitle = await getPageTitle(objectId, { version: metadata.version });
+          currentPageTitle = pageTitle;
           if (pageTitle) {
             pageTitleEl.textContent = pageTitle;
             pageTitleEl.style.display = 'block';
@@ -226,6 +325,11 @@ async function loadPage(objectId) {
             pageTitleEl.style.display = 'none';
           }
         }
+        
+        updateEditButton();
+        
+        // Load version history in the background; it scans the owner's blobs
+        loadVersionHistory(objectId, currentPageOwner);
       } catch (metaError) {
         console.error('Error fetching metadata:', metaError);
         if (expiryEl) {
@@ -240,13 +344,269 @@ async function loadPage(objectId) {
     }
     
     hideLoading();
+    
+    // With the title and details in place, go to the #section the link points to
+    scrollToSection(document.getElementById('content'), window.location.hash);
   } catch (error) {
+    if (currentPageObjectId !== objectId) return;
     console.error('Error loading page:', error);
-    showError(`Failed to load page: ${error.message}`);
-    showView('landing');
+    await showPageNotFound(objectId, error);
+  }
+}
+
+// Title and explanation for each reason a page can fail to load
+function describePageError(diagnosis) {
+  const { reason, objectId, expiryEpoch, certifiedEpoch, currentEpoch } = diagnosis;
+  const network = getNetworkProfile().label;
+  
+  switch (reason) {
+    case 'invalid-id':
+      return {
+        title: 'Invalid page link',
+        message: 'This link doesn\'t contain a valid object ID or blob ID. Check that it was copied in full.',
+      };
+    case 'not-found':
+      return {
+        title: 'Page not found',
+        message: objectId
+          ? `There is no object with this ID on ${network}. The link may be for another network (switch in Network Settings) or mistyped.`
+          : 'No aggregator has a blob with this ID. It may never have been uploaded, or its storage may have run out.',
+      };
+    case 'not-a-blob':
+      return {
+        title: 'Not a page',
+        message: 'This object exists but isn\'t a Walrus blob, so there is no page to show.',
+      };
+    case 'deleted':
+      return {
+        title: 'Page deleted',
+        message: 'The owner deleted or burned this page\'s blob object, so Walrus no longer stores its content.',
+      };
+    case 'expired':
+      return {
+        title: 'Page expired',
+        message: `This page's storage ran out at epoch ${expiryEpoch}; the network is at epoch ${currentEpoch}. Walrus no longer keeps its content, so the owner would need to publish it again.`,
+      };
+    case 'uncertified':
+      return {
+        title: 'Page not certified yet',
+        message: 'The blob is registered but its upload was never certified, so aggregators don\'t serve it. If it was just published, try again in a moment; if you published it, resume the upload from My Pages.',
+      };
+    case 'rpc-unreachable':
+      return {
+        title: 'Sui RPC unreachable',
+        message: `The page's blob object couldn't be read from ${network}. Check your connection, or set a different Sui RPC URL in Network Settings.`,
+      };
+    case 'aggregator-unreachable':
+      return {
+        title: 'Aggregators unreachable',
+        message: 'None of the aggregators answered. Check your connection, or pick different aggregators in Network Settings.',
+      };
+    default:
+      return {
+        title: 'Page unavailable',
+        message: certifiedEpoch
+          ? `The blob is certified${expiryEpoch ? ` and stored until epoch ${expiryEpoch}` : ''}, but no aggregator returned it. Try again later, or pick different aggregators in Network Settings.`
+          : 'The page couldn\'t be loaded, and its status on the network couldn\'t be checked. Try again later, or check the endpoints in Network Settings.',
+      };
+  }
+}
+
+// Explain why a page couldn't be loaded, instead of dropping the reader on the landing page
+async function showPageNotFound(objectId, error) {
+  let diagnosis;
+  try {
+    diagnosis = await diagnosePageError(objectId, error);
+  } catch (diagnosisError) {
+    // Checking the chain can fail too; still explain that the page couldn't be loaded
+    console.warn('Could not diagnose page error:', diagnosisError);
+    diagnosis = { reason: 'unavailable', cachedCopy: null };
+  }
+  if (currentPageObjectId !== objectId) return;
+  
+  notFoundPage = { objectId, cachedCopy: diagnosis.cachedCopy };
+  hideLoading();
+  showView('not-found-view');
+  
+  const { title, message } = describePageError(diagnosis);
+  document.getElementById('not-found-title').textContent = title;
+  document.getElementById('not-found-message').textContent = message;
+  
+  const detailsEl = document.getElementById('not-found-details');
+  detailsEl.replaceChildren();
+  const details = [
+    ['Object ID', diagnosis.objectId],
+    ['Blob ID', diagnosis.blobId],
+    ['Certified epoch', diagnosis.certifiedEpoch],
+    ['Expiry epoch', diagnosis.expiryEpoch],
+    ['Current epoch', diagnosis.currentEpoch],
+    ['Error', error.message],
+  ];
+  for (const [label, value] of details) {
+    if (value === null || value === undefined) continue;
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.textContent = value;
+    detailsEl.append(term, description);
+  }
+  
+  const explorerLink = document.getElementById('not-found-explorer-link');
+  explorerLink.classList.toggle('hidden', !diagnosis.explorerUrl);
+  if (diagnosis.explorerUrl) {
+    explorerLink.href = diagnosis.explorerUrl;
+  }
+  
+  document.getElementById('not-found-cached-btn').classList.toggle('hidden', !diagnosis.cachedCopy);
+}
+
+// Show the copy of a missing page saved in this browser
+function showCachedCopy() {
+  if (!notFoundPage?.cachedCopy || currentPageObjectId !== notFoundPage.objectId) return;
+  
+  const { data, contentType } = notFoundPage.cachedCopy;
+  const contentEl = document.getElementById('content');
+  if (contentEl) {
+    currentPageContent = renderContent(contentEl, data, contentType, { fileName: notFoundPage.objectId }).text;
+    currentPageContentType = contentType;
+    renderTableOfContents(contentEl);
+  }
+  
+  document.getElementById('cached-copy-banner')?.classList.remove('hidden');
+  showView('viewer');
+  if (!scrollToSection(contentEl, window.location.hash)) {
+    window.scrollTo(0, 0);
   }
 }
 
+// Clear content, title, expiry and owner details left over from a previously viewed page
+function resetPageDetails() {
+  // Also stops any audio or video still playing
+  const contentEl = document.getElementById('content');
+  if (contentEl) {
+    clearContent(contentEl);
+  }
+  clearTableOfContents();
+  
+  const pageTitleEl = document.getElementById('page-title-display');
+  if (pageTitleEl) {
+    pageTitleEl.textContent = '';
+    pageTitleEl.style.display = 'none';
+  }
+  
+  const expiryEl = document.getElementById('expiry-time');
+  if (expiryEl) {
+    expiryEl.textContent = '';
+  }
+  
+  document.getElementById('cached-copy-banner')?.classList.add('hidden');
+  
+  for (const id of ['sui-explorer-link', 'owner-link', 'tip-owner-btn']) {
+    const el = document.getElementById(id);
+    if (el) {
+      el.style.display = 'none';
+    }
+  }
+}
+
+// Show whether the aggregator returned the content the blob ID commits to
+function updateVerificationBadge(status) {
+  const badge = document.getElementById('verification-badge');
+  if (!badge) return;
+  
+  if (!status) {
+    badge.classList.add('hidden');
+    return;
+  }
+  
+  const labels = {
+    verified: ['✓ Verified', 'Content matches the blob ID recorded on chain'],
+    mismatch: ['⚠️ Content mismatch', 'The aggregator returned content that does not match the blob ID. It may be faulty or malicious.'],
+    unverified: ['Unverified', 'The content could not be checked against its blob ID'],
+  };
+  const [text, title] = labels[status] || labels.unverified;
+  
+  badge.textContent = text;
+  badge.title = title;
+  badge.className = `verification-badge ${status}`;
+}
+
+// Hide version banner and history from a previously viewed page
+function resetVersionDisplay() {
+  const banner = document.getElementById('newer-version-banner');
+  const historyEl = document.getElementById('version-history');
+  const listEl = document.getElementById('version-history-list');
+  
+  if (banner) {
+    banner.classList.add('hidden');
+  }
+  if (historyEl) {
+    historyEl.classList.add('hidden');
+  }
+  if (listEl) {
+    listEl.replaceChildren();
+  }
+}
+
+// Show version history and a banner when a newer version exists
+async function loadVersionHistory(objectId, owner) {
+  const banner = document.getElementById('newer-version-banner');
+  const newerLink = document.getElementById('newer-version-link');
+  const historyEl = document.getElementById('version-history');
+  const listEl = document.getElementById('version-history-list');
+  
+  try {
+    const { older, newer, latest } = await getVersionHistory(objectId, owner);
+    
+    // Ignore results if the user navigated to another page meanwhile
+    if (currentPageObjectId !== objectId) return;
+    
+    if (latest && banner && newerLink) {
+      newerLink.href = getPageUrl(latest);
+      banner.classList.remove('hidden');
+    }
+    
+    if (!historyEl || !listEl || (older.length === 0 && newer.length === 0)) return;
+    
+    const entries = [
+      ...[...newer].reverse(),
+      { objectId, title: currentPageTitle || 'Untitled', isCurrent: true },
+      ...older,
+    ];
+    
+    listEl.replaceChildren();
+    for (const entry of entries) {
+      const item = document.createElement('li');
+      if (entry.isCurrent) {
+        const label = document.createElement('strong');
+        label.textContent = `${entry.title} (viewing)`;
+        item.appendChild(label);
+      } else {
+        const link = document.createElement('a');
+        link.href = getPageUrl(entry.objectId);
+        link.textContent = entry.title;
+        item.appendChild(link);
+      }
+      listEl.appendChild(item);
+    }
+    historyEl.classList.remove('hidden');
+  } catch (error) {
+    console.warn('Could not load version history:', error);
+  }
+}
+
+// Show the edit button only to the owner of the current page
+function updateEditButton() {
+  const editBtn = document.getElementById('edit-page-btn');
+  if (!editBtn) return;
+  
+  const address = getWalletAddress();
+  const isOwner = !!address && !!currentPageOwner &&
+    address.toLowerCase() === currentPageOwner.toLowerCase();
+  
+  editBtn.style.display = isOwner && currentPageContent !== null ? 'inline-block' : 'none';
+}
+
 // Set up event listeners
 function setupEventListeners() {
   // Create buttons
@@ -295,7 +655,7 @@ function setupEventListeners() {
     myPagesBtn.addEventListener('click', () => {
       const address = getWalletAddress();
       if (address) {
-        window.location.href = `?address=${address}`;
+        navigateToAddress(address);
       }
     });
   }
@@ -318,7 +678,7 @@ function setupEventListeners() {
     viewAddressBtn.addEventListener('click', () => {
       const address = addressInput?.value?.trim();
       if (address) {
-        window.location.href = `?address=${address}`;
+        navigateToAddress(address);
       }
     });
   }
@@ -334,18 +694,39 @@ function setupEventListeners() {
       if (e.key === 'Enter') {
         const address = addressInput.value.trim();
         if (address) {
-          window.location.href = `?address=${address}`;
+          navigateToAddress(address);
         }
       }
     });
   }
   
+  // Not-found view buttons
+  const notFoundCachedBtn = document.getElementById('not-found-cached-btn');
+  if (notFoundCachedBtn) {
+    notFoundCachedBtn.addEventListener('click', showCachedCopy);
+  }
+  
+  const notFoundRetryBtn = document.getElementById('not-found-retry-btn');
+  if (notFoundRetryBtn) {
+    notFoundRetryBtn.addEventListener('click', () => {
+      if (notFoundPage) {
+        loadPage(notFoundPage.objectId);
+      }
+    });
+  }
+  
   // Extend button
   const extendBtn = document.getElementById('extend-btn');
   if (extendBtn) {
     extendBtn.addEventListener('click', extendBlob);
   }
   
+  // Edit button
+  const editPageBtn = document.getElementById('edit-page-btn');
+  if (editPageBtn) {
+    editPageBtn.addEventListener('click', editCurrentPage);
+  }
+  
   // Copy link button
   const copyLinkBtn = document.getElementById('copy-link-btn');
   if (copyLinkBtn) {
@@ -386,6 +767,11 @@ function openEditor() {
     modal.classList.remove('hidden');
   }
   
+  // A fresh editor always creates a new page
+  setEditorMode(null);
+  resetPublishOptions();
+  refreshEpochTiming();
+  
   // Clear previous content
   if (titleInput) {
     titleInput.value = '';
@@ -400,6 +786,17 @@ function openEditor() {
         spellChecker: false,
         placeholder: 'Write your content in Markdown...',
         autofocus: true,
+        // Preview with the same renderer and sandbox readers see pages with
+        previewRender: (text, preview) => {
+          if (getSelectedContentType() === 'text/html') {
+            return createHtmlPageFrame(text, { title: 'Preview' }).outerHTML;
+          }
+          // Diagrams are drawn once EasyMDE has put the HTML in the preview
+          setTimeout(() => {
+            renderDiagrams(preview).catch(error => console.warn('Could not load diagrams:', error));
+          });
+          return renderMarkdown(text);
+        },
         toolbar: [
           'bold', 'italic', 'heading', '|',
           'quote', 'unordered-list', 'ordered-list', '|',
@@ -408,10 +805,83 @@ function openEditor() {
           'guide'
         ],
       });
+      editor.codemirror.on('change', scheduleCostEstimate);
     }
   } else {
     editor.value('');
   }
+  
+  hideCostBreakdown();
+}
+
+// Re-estimate the publish cost shortly after the content stops changing
+function scheduleCostEstimate() {
+  clearTimeout(costEstimateTimer);
+  costEstimateTimer = setTimeout(updateCostEstimate, 600);
+}
+
+// Estimate the publish cost for the editor content from live prices
+async function updateCostEstimate() {
+  const content = editor ? editor.value().trim() : '';
+  const requestId = ++costEstimateRequest;
+  
+  if (!content) {
+    hideCostBreakdown();
+    return null;
+  }
+  
+  showCostStatus('Calculating cost...');
+  
+  try {
+    const sizeBytes = new TextEncoder().encode(content).length;
+    const cost = await calculateStorageCost(sizeBytes, getSelectedEpochs());
+    if (requestId === costEstimateRequest) {
+      renderCostBreakdown(cost);
+    }
+    return cost;
+  } catch (error) {
+    console.warn('Could not estimate storage cost:', error);
+    if (requestId === costEstimateRequest) {
+      showCostStatus('Cost estimate unavailable');
+    }
+    return null;
+  }
+}
+
+// Switch the editor between creating a page and publishing a new version
+function setEditorMode(previousVersion) {
+  const heading = document.getElementById('editor-heading');
+  const publishBtn = document.getElementById('publish-btn');
+  
+  editingPreviousVersion = previousVersion;
+  
+  if (heading) {
+    heading.textContent = previousVersion ? 'Edit Page' : 'Create New Page';
+  }
+  if (publishBtn) {
+    publishBtn.textContent = previousVersion ? 'Publish New Version' : 'Publish to Walrus';
+  }
+}
+
+// Open the editor pre-filled with the current page
+function editCurrentPage() {
+  if (!currentPageObjectId || currentPageContent === null) {
+    showError('No page loaded to edit');
+    return;
+  }
+  
+  openEditor();
+  setEditorMode(currentPageObjectId);
+  setPublishContentType(currentPageContentType);
+  
+  const titleInput = document.getElementById('page-title-input');
+  if (titleInput) {
+    titleInput.value = currentPageTitle || '';
+  }
+  
+  if (editor) {
+    editor.value(currentPageContent);
+  }
 }
 
 // Close editor modal
@@ -431,6 +901,10 @@ function closeEditor() {
   if (editor) {
     editor.value('');
   }
+  
+  clearTimeout(costEstimateTimer);
+  hideCostBreakdown();
+  setEditorMode(null);
 }
 
 // Publish page to Walrus
@@ -444,6 +918,14 @@ async function publishPage() {
     return;
   }
   
+  let publishOptions;
+  try {
+    publishOptions = getPublishOptions();
+  } catch (error) {
+    showError(error.message);
+    return;
+  }
+  
   // Check wallet connection - use getWalletAddress to verify actual connection
   const walletAddress = getWalletAddress();
   if (!walletAddress || !isWalletConnected()) {
@@ -460,6 +942,13 @@ async function publishPage() {
     }
   }
   
+  // Refresh the cost breakdown so it reflects current prices before the wallet prompt
+  clearTimeout(costEstimateTimer);
+  const cost = await updateCostEstimate();
+  if (cost) {
+    console.log(`Storage cost: ${cost.costWAL} WAL + ${cost.costSUI} SUI for ${cost.epochs} epochs`);
+  }
+  
   showLoading('Publishing to Walrus...');
   
   try {
@@ -473,26 +962,32 @@ async function publishPage() {
     console.log('📝 Title is truthy:', !!title);
     console.log('📝 Publishing with title:', title);
     
-    // Calculate storage cost
-    const encoder = new TextEncoder();
-    const sizeBytes = encoder.encode(content).length;
-    const cost = await calculateStorageCost(sizeBytes);
-    
-    console.log(`Storage cost: ${cost.costWAL} WAL for ${cost.epochs} epochs`);
+    // Upload to Walrus with title, linking to the replaced version when editing
+    const uploadOptions = {
+      title,
+      ...publishOptions,
+      onProgress: ({ steps, current }) => showLoadingSteps(steps, current),
+    };
+    if (editingPreviousVersion) {
+      uploadOptions.previousVersion = editingPreviousVersion;
+    }
     
-    // Upload to Walrus with title
-    console.log('📤 About to call uploadToWalrus with options:', { title });
-    const result = await uploadToWalrus(content, { title });
+    console.log('📤 About to call uploadToWalrus with options:', uploadOptions);
+    const result = await uploadToWalrus(content, uploadOptions);
     const objectId = result.objectId; // Use object ID for immediate access
     
     console.log('Published blob:', { blobId: result.blobId, objectId: result.objectId });
     
-    showSuccess('Page published successfully!');
+    if (publishOptions.recipient) {
+      showSuccess('Page published and sent to the recipient!');
+    } else {
+      showSuccess(uploadOptions.previousVersion ? 'New version published successfully!' : 'Page published successfully!');
+    }
     closeEditor();
     
-    // Redirect to the newly published page using object ID
+    // Show the newly published page using object ID
     // Object IDs are immediately available, blob IDs require certification
-    window.location.href = `?page=${objectId}`;
+    navigateToPage(objectId);
     
   } catch (error) {
     console.error('Publish error:', error);
@@ -504,7 +999,7 @@ async function publishPage() {
 function updateProfileLink(address) {
   const profileLink = document.getElementById('my-profile-link');
   if (profileLink && address) {
-    profileLink.href = `?address=${address}`;
+    profileLink.href = getAddressUrl(address);
   }
 }
 
@@ -546,6 +1041,7 @@ async function toggleWallet() {
           updateWalletButton(false);
           showMyPagesButton(false);
           showMyPagesSection(false);
+          updateEditButton();
         },
       });
     }
@@ -563,6 +1059,7 @@ async function handleWalletConnect() {
     updateWalletButton(true, address);
     showMyPagesButton(true);
     updateProfileLink(address);
+    updateEditButton();
 
     // Load user's pages if on landing view
     const currentView = document.querySelector('.view:not(.hidden)');
@@ -575,127 +1072,137 @@ async function handleWalletConnect() {
   }
 }
 
+// Batch action bar for a page list, shown while pages are selected
+function createBatchActions(prefix) {
+  return h('div', { id: `${prefix}-batch-actions`, class: 'batch-actions hidden' },
+    h('span', { id: `${prefix}-selection-count` }, '0 blobs selected'),
+    h('button', { id: `${prefix}-extend-selected-btn`, class: 'btn-primary' }, 'Extend Selected'),
+    h('button', { id: `${prefix}-delete-selected-btn`, class: 'btn-secondary' }, 'Delete Selected')
+  );
+}
+
+// Render My Pages and Received Pages from a list of blobs
+function renderUserPages(address, blobs, pendingUploads) {
+  const myPagesListEl = document.getElementById('my-pages-list');
+  const sentPagesListEl = document.getElementById('sent-pages-list');
+  const sentPagesContainer = document.getElementById('sent-pages-container');
+  
+  // Drop batch actions from a previous render
+  document.getElementById('my-pages-batch-actions')?.remove();
+  document.getElementById('sent-pages-batch-actions')?.remove();
+  sentPagesContainer?.classList.add('hidden');
+  
+  if (blobs.length === 0) {
+    currentBlobs = [];
+    selectedBlobs.clear();
+    setChildren(myPagesListEl, h('p', { class: 'info-text' }, 'No pages found. Create your first page!'));
+    return;
+  }
+  
+  // Separate blobs by sender
+  const myPages = [];
+  const sentPages = [];
+  
+  for (const blob of blobs) {
+    if (blob.sender && blob.sender.toLowerCase() === address.toLowerCase()) {
+      myPages.push(blob);
+    } else {
+      sentPages.push(blob);
+    }
+  }
+  
+  // Store all blobs for selection
+  currentBlobs = blobs;
+  
+  // Render My Pages
+  if (myPages.length === 0) {
+    setChildren(myPagesListEl, h('p', { class: 'info-text' }, 'No pages created yet. Create your first page!'));
+  } else {
+    setChildren(myPagesListEl, myPages.map(blob => createUserPageCard(blob, {
+      showCheckbox: true,
+      isSelected: selectedBlobs.has(blob.objectId),
+      showCertification: true,
+      actions: !blob.certifiedEpoch && findUploadForBlob(pendingUploads, blob) ? [
+        h('button', {
+          class: 'btn-secondary btn-small resume-upload-btn',
+          dataset: { objectId: blob.objectId }
+        }, '↻ Resume certification')
+      ] : []
+    })));
+    
+    // Add batch action buttons for My Pages
+    myPagesListEl.after(createBatchActions('my-pages'));
+    
+    setupResumeButtons();
+  }
+  
+  // Render Received Pages
+  if (sentPages.length > 0 && sentPagesListEl && sentPagesContainer) {
+    sentPagesContainer.classList.remove('hidden');
+    
+    setChildren(sentPagesListEl, sentPages.map(blob => createUserPageCard(blob, {
+      showCheckbox: true,
+      isSelected: selectedBlobs.has(blob.objectId),
+      txUrl: blob.txDigest && getExplorerUrl('txblock', blob.txDigest),
+      actions: [
+        h('button', {
+          class: 'btn-secondary btn-small accept-page-btn',
+          dataset: { objectId: blob.objectId }
+        }, '✓ Accept')
+      ]
+    })));
+    
+    // Add batch action buttons for Received Pages
+    sentPagesListEl.after(createBatchActions('sent-pages'));
+    
+    // Setup accept button listeners
+    setupAcceptButtons();
+  }
+  
+  // Setup checkbox event listeners for both sections
+  setupBlobSelection();
+}
+
 // Load user's pages
 async function loadUserPages() {
   showMyPagesSection(true);
   
   const myPagesListEl = document.getElementById('my-pages-list');
-  const sentPagesListEl = document.getElementById('sent-pages-list');
-  const sentPagesContainer = document.getElementById('sent-pages-container');
   
   if (!myPagesListEl) return;
   
-  myPagesListEl.innerHTML = '<div class="loading">Loading your pages...</div>';
-  
   try {
     const address = getWalletAddress();
     if (!address) {
       throw new Error('No wallet address');
     }
     
-    // Query user's blob objects
-    const blobs = await getUserBlobs(address);
-    
-    if (blobs.length === 0) {
-      myPagesListEl.innerHTML = '<p class="info-text">No pages found. Create your first page!</p>';
-      return;
-    }
-    
-    // Separate blobs by sender
-    const myPages = [];
-    const sentPages = [];
-    
-    for (const blob of blobs) {
-      if (blob.sender && blob.sender.toLowerCase() === address.toLowerCase()) {
-        myPages.push(blob);
-      } else {
-        sentPages.push(blob);
-      }
-    }
-    
-    // Store all blobs for selection
-    currentBlobs = blobs;
+    // Uploads this browser can resume, and the pages seen on the last visit
+    const [pendingUploads, cachedBlobs] = await Promise.all([
+      getPendingUploads(),
+      getCachedUserBlobs(address),
+    ]);
     
-    // Render My Pages
-    if (myPages.length === 0) {
-      myPagesListEl.innerHTML = '<p class="info-text">No pages created yet. Create your first page!</p>';
+    if (cachedBlobs.length > 0) {
+      renderUserPages(address, cachedBlobs, pendingUploads);
     } else {
-      let myPagesHtml = '';
-      for (const blob of myPages) {
-        myPagesHtml += `
-          <div class="page-card">
-            <div class="page-card-header">
-              <input type="checkbox" class="blob-checkbox" data-blob-id="${blob.objectId}" />
-              <h3><a href="?page=${blob.objectId}" class="page-title-link">${blob.title || 'Untitled'}</a></h3>
-              <span class="expiry-epoch">Epoch ${blob.expiryEpoch || 'N/A'}</span>
-            </div>
-            <div class="page-actions">
-              <button class="btn-primary btn-small" onclick="window.location.href='?page=${blob.objectId}'">View</button>
-            </div>
-          </div>
-        `;
-      }
-      myPagesListEl.innerHTML = myPagesHtml;
-      
-      // Add batch action buttons for My Pages
-      const myPagesBatchActionsHtml = `
-        <div id="my-pages-batch-actions" class="batch-actions hidden">
-          <span id="my-pages-selection-count">0 blobs selected</span>
-          <button id="my-pages-extend-selected-btn" class="btn-primary">Extend Selected</button>
-          <button id="my-pages-delete-selected-btn" class="btn-secondary">Delete Selected</button>
-        </div>
-      `;
-      myPagesListEl.insertAdjacentHTML('afterend', myPagesBatchActionsHtml);
+      setChildren(myPagesListEl, h('div', { class: 'loading' }, 'Loading your pages...'));
     }
     
-    // Render Received Pages
-    if (sentPages.length > 0 && sentPagesListEl && sentPagesContainer) {
-      sentPagesContainer.classList.remove('hidden');
-      
-      let sentPagesHtml = '';
-      for (const blob of sentPages) {
-        const txLink = blob.txDigest ? `<a href="https://suivision.xyz/txblock/${blob.txDigest}" target="_blank" rel="noopener" class="tx-link-icon" title="View sending transaction">📜</a>` : '';
-        sentPagesHtml += `
-          <div class="page-card">
-            <div class="page-card-header">
-              <input type="checkbox" class="blob-checkbox" data-blob-id="${blob.objectId}" />
-              <div class="page-title-section">
-                <h3>
-                  <a href="?page=${blob.objectId}" class="page-title-link">${blob.title || 'Untitled'}</a>
-                  ${txLink}
-                </h3>
-              </div>
-              <span class="expiry-epoch">Epoch ${blob.expiryEpoch || 'N/A'}</span>
-            </div>
-            <div class="page-actions">
-              <button class="btn-secondary btn-small accept-page-btn" data-object-id="${blob.objectId}">✓ Accept</button>
-              <button class="btn-primary btn-small" onclick="window.location.href='?page=${blob.objectId}'">View</button>
-            </div>
-          </div>
-        `;
-      }
-      sentPagesListEl.innerHTML = sentPagesHtml;
-      
-      // Add batch action buttons for Received Pages
-      const sentPagesBatchActionsHtml = `
-        <div id="sent-pages-batch-actions" class="batch-actions hidden">
-          <span id="sent-pages-selection-count">0 blobs selected</span>
-          <button id="sent-pages-extend-selected-btn" class="btn-primary">Extend Selected</button>
-          <button id="sent-pages-delete-selected-btn" class="btn-secondary">Delete Selected</button>
-        </div>
-      `;
-      sentPagesListEl.insertAdjacentHTML('afterend', sentPagesBatchActionsHtml);
-      
-      // Setup accept button listeners
-      setupAcceptButtons();
+    // Revalidate against the chain; offline, the cached list stays up
+    let blobs;
+    try {
+      blobs = await getUserBlobs(address, { throwOnError: true });
+    } catch (error) {
+      if (cachedBlobs.length === 0) throw error;
+      console.warn('Could not refresh user pages, showing cached list:', error);
+      showToast('Could not reach the network. Showing your pages as last seen in this browser.', 'warning', 5000);
+      return;
     }
-    
-    // Setup checkbox event listeners for both sections
-    setupBlobSelection();
-    
+    renderUserPages(address, blobs, pendingUploads);
   } catch (error) {
     console.error('Error loading user pages:', error);
-    myPagesListEl.innerHTML = '<p class="info-text">Failed to load pages</p>';
+    setChildren(myPagesListEl, h('p', { class: 'info-text' }, 'Failed to load pages'));
   }
 }
 
@@ -711,6 +1218,41 @@ function setupAcceptButtons() {
   });
 }
 
+// Setup resume certification button listeners
+function setupResumeButtons() {
+  const resumeButtons = document.querySelectorAll('.resume-upload-btn');
+  resumeButtons.forEach(button => {
+    button.addEventListener('click', async (e) => {
+      e.preventDefault();
+      const blob = currentBlobs.find(b => b.objectId === button.dataset.objectId);
+      if (blob) {
+        await resumePageUpload(blob);
+      }
+    });
+  });
+}
+
+// Finish an interrupted upload for a registered but uncertified page
+async function resumePageUpload(blob) {
+  showLoading('Resuming upload...');
+  
+  try {
+    await resumeUpload(blob, {
+      onProgress: ({ steps, current }) => showLoadingSteps(steps, current),
+    });
+    
+    showSuccess('Page certified successfully!');
+    
+    // Wait for blockchain confirmation and reload
+    setTimeout(async () => {
+      await loadUserPages();
+    }, 2000);
+  } catch (error) {
+    console.error('Error resuming upload:', error);
+    showError(`Failed to resume upload: ${error.message}`);
+  }
+}
+
 // Accept a sent page by transferring it to self
 async function acceptPage(objectId) {
   const address = getWalletAddress();
@@ -756,7 +1298,9 @@ async function acceptPage(objectId) {
 
 // Setup blob selection management
 function setupBlobSelection() {
-  selectedBlobs.clear();
+  // Keep pages ticked before a re-render (e.g. the cached list being revalidated) if they're still listed
+  const listedIds = new Set(currentBlobs.map(blob => blob.objectId));
+  selectedBlobs = new Set([...selectedBlobs].filter(id => listedIds.has(id)));
   
   // Handle checkbox changes
   const checkboxes = document.querySelectorAll('.blob-checkbox');
@@ -862,15 +1406,14 @@ async function handleExtendSelected() {
   const blobIds = Array.from(selectedBlobs);
   const blobObjects = currentBlobs.filter(blob => blobIds.includes(blob.objectId));
   
-  const confirmed = confirm(`Extend ${blobObjects.length} blob(s) for 50 epochs (≈2 years)?`);
+  const epochs = await showExtendDialog(blobObjects.map(blob => blob.objectId));
   
-  if (!confirmed) return;
+  if (!epochs) return;
   
   showLoading(`Extending ${blobObjects.length} blob(s)...`);
   
   try {
-    // Use 5 epochs to avoid max_epochs_ahead limit
-    await extendBlobsBatch(blobObjects, 5);
+    await extendBlobsBatch(blobObjects, epochs);
     
     // Clear selection immediately
     selectedBlobs.clear();
@@ -951,7 +1494,7 @@ function openTipModal() {
   if (tipOwnerInfo && tipOwnerExplorerLink) {
     const shortAddress = `${currentPageOwner.slice(0, 6)}...${currentPageOwner.slice(-4)}`;
     tipOwnerExplorerLink.textContent = shortAddress;
-    tipOwnerExplorerLink.href = `https://suivision.xyz/account/${currentPageOwner}`;
+    tipOwnerExplorerLink.href = getExplorerUrl('account', currentPageOwner) || '#';
     tipOwnerExplorerLink.title = currentPageOwner;
     tipOwnerInfo.style.display = 'flex';
   }
@@ -993,20 +1536,17 @@ async function sendTip(amount) {
   closeTipModal();
   
   try {
-    const { SuiClient } = await import('@mysten/sui/client');
     const { Transaction } = await import('@mysten/sui/transactions');
     const { getWallet, getAccount, signAndExecuteTransaction } = await import('./utils/wallet.js');
-    const { getSuiRpcUrl } = await import('./utils/settings.js');
     
     const wallet = getWallet();
     const account = getAccount();
-    const suiRpcUrl = getSuiRpcUrl();
-    const client = new SuiClient({ url: suiRpcUrl });
+    const client = createSuiClient();
     
     // Get WAL coins
     const walCoins = await client.getCoins({
       owner: account.address,
-      coinType: WAL_COIN_TYPE,
+      coinType: await getWalCoinType(),
     });
     
     if (!walCoins.data || walCoins.data.length === 0) {
@@ -1081,49 +1621,13 @@ async function extendBlob() {
     }
   }
   
-  showLoading('Calculating safe extension...');
+  const epochs = await showExtendDialog([currentPageObjectId]);
+  if (!epochs) return;
+  
+  showLoading(`Extending storage by up to ${epochs} epochs...`);
   
   try {
-    const { WalrusClient } = await import('@mysten/walrus');
-    const { getSuiRpcUrl } = await import('./utils/settings.js');
-    
-    const suiRpcUrl = getSuiRpcUrl();
-    const walrusClient = new WalrusClient({
-      network: 'mainnet',
-      suiRpcUrl: suiRpcUrl,
-    });
-    
-    // Get current epoch
-    const systemState = await walrusClient.systemState();
-    const currentEpoch = systemState.committee.epoch;
-    const maxEpochsAheadOffset = 52;
-    
-    // Calculate current offset
-    const startOffset = currentPageMetadata.expiryEpoch - currentEpoch;
-    
-    // Calculate maximum safe extension
-    const maxSafeExtend = maxEpochsAheadOffset - startOffset;
-    
-    if (maxSafeExtend <= 0) {
-      throw new Error(`Blob is already at max extension limit (expires at epoch ${currentPageMetadata.expiryEpoch}, offset: ${startOffset}/${maxEpochsAheadOffset})`);
-    }
-    
-    // Use the safe extension amount (up to 50 epochs or whatever is safe)
-    const requestedEpochs = 50;
-    const safeEpochs = Math.min(requestedEpochs, maxSafeExtend);
-    
-    console.log(`Extending by ${safeEpochs} epochs (requested: ${requestedEpochs}, max safe: ${maxSafeExtend})`);
-    
-    // Create blob object for batch extension
-    const blobObject = {
-      objectId: currentPageObjectId,
-      expiryEpoch: currentPageMetadata.expiryEpoch,
-    };
-    
-    showLoading(`Extending storage by ${safeEpochs} epochs...`);
-    
-    // Use the batch extension function with a single blob
-    await extendBlobsBatch([blobObject], safeEpochs);
+    await extendBlobStorage(currentPageObjectId, epochs);
     
     // Refresh metadata display
     const metadata = await getMetadata(currentPageObjectId);
@@ -1131,10 +1635,10 @@ async function extendBlob() {
     
     const expiryEl = document.getElementById('expiry-time');
     if (expiryEl && metadata.expiryEpoch) {
-      expiryEl.textContent = `Epoch ${metadata.expiryEpoch}`;
+      expiryEl.textContent = `Expiry epoch ${metadata.expiryEpoch}`;
     }
     
-    showSuccess(`Storage extended by ${safeEpochs} epochs! New expiry: ${metadata.expiryEpoch}`);
+    showSuccess(`Storage extended! New expiry: epoch ${metadata.expiryEpoch}`);
   } catch (error) {
     console.error('Extension error:', error);
     showError(`Failed to extend storage: ${error.message}`);
@@ -0,0 +1,927 @@
+/**
+ * Mock Chain - In-browser stand-in for Sui used by the mock network profile
+ * Keeps objects, coins and transactions in memory, persists them to IndexedDB
+ * so they survive page loads, and executes the transactions the app builds.
+ * Only the SuiClient calls the services make are implemented.
+ */
+
+import { Transaction, Inputs } from '@mysten/sui/transactions';
+import { WalrusClient, blobIdFromInt } from '@mysten/walrus';
+import { bcs } from '@mysten/sui/bcs';
+import {
+  fromBase64,
+  toBase58,
+  toHex,
+  normalizeStructTag,
+  normalizeSuiAddress,
+  normalizeSuiObjectId,
+  parseStructTag,
+  SUI_TYPE_ARG,
+} from '@mysten/sui/utils';
+import { getRecord, getAllRecords, putRecord, deleteRecords } from '../utils/idb.js';
+import { NETWORK_PROFILES } from '../config/networks.js';
+import { BYTES_PER_STORAGE_UNIT } from '../config/constants.js';
+import { getMetadataFieldId } from '../services/blob-metadata.js';
+
+const STORE_NAME = 'mockNetwork';
+const STATE_KEY = 'state';
+const BLOB_KEY_PREFIX = 'blob:';
+
+const PROFILE = NETWORK_PROFILES.mock;
+
+/**
+ * Package the mock Walrus Move calls are made against
+ * @type {string}
+ */
+export const MOCK_PACKAGE_ID = parseStructTag(PROFILE.blobType).address;
+
+/**
+ * Shared Walrus system object on the mock network
+ * @type {string}
+ */
+export const MOCK_SYSTEM_OBJECT_ID = normalizeSuiObjectId('0x5157e3');
+
+/**
+ * Accounts funded at genesis and offered by the mock wallet
+ * @type {Array<{label: string, address: string}>}
+ */
+export const MOCK_ACCOUNTS = [
+  { label: 'Alice', address: normalizeSuiAddress('0xa11ce') },
+  { label: 'Bob', address: normalizeSuiAddress('0xb0b') },
+];
+
+/**
+ * Shard count used to encode blobs, matching mainnet so blob IDs and costs look real
+ * @type {number}
+ */
+export const MOCK_N_SHARDS = 1000;
+
+/**
+ * Length of a mock epoch
+ * @type {number}
+ */
+export const MOCK_EPOCH_DURATION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How many epochs ahead storage can be bought on the mock network
+ * @type {number}
+ */
+export const MOCK_MAX_EPOCHS_AHEAD = 53;
+
+/**
+ * Storage and write prices per storage unit, in FROST
+ * @type {bigint}
+ */
+export const MOCK_STORAGE_PRICE = 10_000n;
+export const MOCK_WRITE_PRICE = 20_000n;
+
+const MOCK_GAS_PRICE = 1_000n;
+const MOCK_GAS_BUDGET = 50_000_000n;
+const UNITS_PER_TOKEN = 1_000_000_000n;
+
+// Initial balances of each mock account; WAL is split over two coins so merging gets exercised
+const GENESIS_SUI = [1_000n * UNITS_PER_TOKEN];
+const GENESIS_WAL = [60n * UNITS_PER_TOKEN, 40n * UNITS_PER_TOKEN];
+
+const BLOB_TYPE = normalizeStructTag(PROFILE.blobType);
+const WAL_TYPE = normalizeStructTag(PROFILE.walCoinType);
+const SUI_TYPE = normalizeStructTag(SUI_TYPE_ARG);
+
+let statePromise = null;
+let executionQueue = Promise.resolve();
+
+function randomBytes() {
+  return crypto.getRandomValues(new Uint8Array(32));
+}
+
+function randomObjectId() {
+  return normalizeSuiObjectId(toHex(randomBytes()));
+}
+
+function randomDigest() {
+  return toBase58(randomBytes());
+}
+
+function coinType(innerType) {
+  return `0x2::coin::Coin<${innerType}>`;
+}
+
+function createGenesis() {
+  const state = {
+    key: STATE_KEY,
+    lamport: 1,
+    firstEpochStartMs: Date.now(),
+    objects: {},
+    // Version each deleted object was deleted at
+    deletedObjects: {},
+    transactions: {},
+  };
+  const digest = randomDigest();
+
+  const created = [
+    addObject(state, {
+      objectId: MOCK_SYSTEM_OBJECT_ID,
+      type: `${MOCK_PACKAGE_ID}::system::System`,
+      owner: { Shared: { initial_shared_version: '1' } },
+      fields: { id: { id: MOCK_SYSTEM_OBJECT_ID }, package_id: MOCK_PACKAGE_ID },
+    }, digest),
+  ];
+
+  for (const { address } of MOCK_ACCOUNTS) {
+    created.push(...addGenesisCoins(state, address, digest));
+  }
+
+  recordSystemTransaction(state, digest, created);
+  return state;
+}
+
+function addGenesisCoins(state, address, digest) {
+  return [
+    ...GENESIS_SUI.map(balance => addCoin(state, SUI_TYPE, address, balance, digest)),
+    ...GENESIS_WAL.map(balance => addCoin(state, WAL_TYPE, address, balance, digest)),
+  ];
+}
+
+function recordSystemTransaction(state, digest, created) {
+  state.transactions[digest] = {
+    digest,
+    sender: normalizeSuiAddress('0x0'),
+    timestampMs: String(Date.now()),
+    objectChanges: created.map(object => ({ type: 'created', objectId: object.objectId, objectType: object.type })),
+  };
+}
+
+function addObject(state, { objectId, type, owner, fields, coinType: innerCoinType }, digest) {
+  const object = {
+    objectId,
+    type,
+    owner,
+    fields,
+    coinType: innerCoinType,
+    version: state.lamport,
+    digest: randomDigest(),
+    previousTransaction: digest,
+  };
+  state.objects[objectId] = object;
+  return object;
+}
+
+function addCoin(state, innerType, owner, balance, digest) {
+  const objectId = randomObjectId();
+  return addObject(state, {
+    objectId,
+    type: coinType(innerType),
+    coinType: innerType,
+    owner: { AddressOwner: owner },
+    fields: { id: { id: objectId }, balance: String(balance) },
+  }, digest);
+}
+
+/**
+ * Load the mock chain, creating and funding it on first use
+ * @returns {Promise<Object>} Chain state
+ */
+function loadState() {
+  if (!statePromise) {
+    statePromise = (async () => {
+      try {
+        const stored = await getRecord(STORE_NAME, STATE_KEY);
+        if (stored) return stored;
+      } catch (error) {
+        console.warn('Mock network state is not persisted:', error);
+      }
+
+      const genesis = createGenesis();
+      await saveState(genesis);
+      console.log('🧪 Created mock network with funded accounts:', MOCK_ACCOUNTS.map(account => account.address));
+      return genesis;
+    })();
+  }
+  return statePromise;
+}
+
+async function saveState(state) {
+  try {
+    await putRecord(STORE_NAME, state);
+  } catch (error) {
+    console.warn('Could not persist mock network state:', error);
+  }
+}
+
+/**
+ * Current epoch of the mock network, advancing once per MOCK_EPOCH_DURATION_MS
+ * @returns {Promise<{epoch: number, firstEpochStartMs: number}>} Epoch and when epoch 1 started
+ */
+export async function getMockEpoch() {
+  const { firstEpochStartMs } = await loadState();
+  return {
+    epoch: 1 + Math.floor((Date.now() - firstEpochStartMs) / MOCK_EPOCH_DURATION_MS),
+    firstEpochStartMs,
+  };
+}
+
+/**
+ * Wipe the mock network so it starts again from genesis on next use
+ * @returns {Promise<void>}
+ */
+export async function resetMockNetwork() {
+  const records = await getAllRecords(STORE_NAME);
+  await deleteRecords(STORE_NAME, records.map(record => record.key));
+  statePromise = null;
+}
+
+/**
+ * Read a stored object by ID
+ * @param {string} objectId - Object ID
+ * @returns {Promise<Object|null>} Stored object or null
+ */
+export async function getMockObject(objectId) {
+  const state = await loadState();
+  return state.objects[normalizeSuiObjectId(objectId)] || null;
+}
+
+/**
+ * Store blob content accepted by the mock upload relay
+ * @param {string} blobId - Base64url blob ID
+ * @param {Uint8Array} data - Blob content
+ * @returns {Promise<void>}
+ */
+export async function storeMockBlobContent(blobId, data) {
+  await putRecord(STORE_NAME, { key: `${BLOB_KEY_PREFIX}${blobId}`, data });
+}
+
+/**
+ * Read blob content stored by the mock upload relay
+ * @param {string} blobId - Base64url blob ID
+ * @returns {Promise<Uint8Array|null>} Blob content or null
+ */
+export async function readMockBlobContent(blobId) {
+  const record = await getRecord(STORE_NAME, `${BLOB_KEY_PREFIX}${blobId}`);
+  return record?.data || null;
+}
+
+/**
+ * Get the Walrus system state of the mock network
+ * @returns {Promise<Object>} The fields of the system state the app and the SDK read
+ */
+export async function getMockSystemState() {
+  const { epoch } = await getMockEpoch();
+  return {
+    committee: { epoch, n_shards: MOCK_N_SHARDS },
+    future_accounting: { length: MOCK_MAX_EPOCHS_AHEAD },
+    storage_price_per_unit_size: String(MOCK_STORAGE_PRICE),
+    write_price_per_unit_size: String(MOCK_WRITE_PRICE),
+  };
+}
+
+// The Walrus SDK, reading the mock system state, so blobs are encoded and storage
+// is priced exactly as on a real network. Only local computations are used.
+class MockWalrusEncoder extends WalrusClient {
+  systemState() {
+    return getMockSystemState();
+  }
+}
+
+let encoder = null;
+
+/**
+ * Get the Walrus client the mock network encodes and prices blobs with
+ * @returns {WalrusClient} Client whose system state is the mock network's
+ */
+export function getMockEncoder() {
+  if (!encoder) {
+    encoder = new MockWalrusEncoder({ network: 'mainnet', suiRpcUrl: PROFILE.suiRpc });
+  }
+  return encoder;
+}
+
+/**
+ * Storage units a blob of this size occupies once encoded, as the Walrus SDK
+ * prices it. Units cost the write price once, so this is the write cost divided by it.
+ * @param {number} size - Unencoded size in bytes
+ * @returns {Promise<bigint>} Storage units
+ */
+async function mockStorageUnits(size) {
+  const { writeCost } = await getMockEncoder().storageCost(size, 1);
+  return writeCost / MOCK_WRITE_PRICE;
+}
+
+// Deleted objects are reported as such, like on a real network, rather than as never having existed
+function toMissingObjectResponse(state, objectId) {
+  const version = state.deletedObjects?.[objectId];
+  return version
+    ? { error: { code: 'deleted', object_id: objectId, version: String(version) } }
+    : { error: { code: 'notExists', object_id: objectId } };
+}
+
+function lookupObject(state, id) {
+  const objectId = normalizeSuiObjectId(id);
+  const object = state.objects[objectId];
+  return object ? toObjectResponse(object) : toMissingObjectResponse(state, objectId);
+}
+
+function toObjectResponse(object) {
+
+  return {
+    data: {
+      objectId: object.objectId,
+      version: String(object.version),
+      digest: object.digest,
+      type: object.type,
+      owner: object.owner,
+      previousTransaction: object.previousTransaction,
+      content: {
+        dataType: 'moveObject',
+        type: object.type,
+        hasPublicTransfer: true,
+        fields: object.fields,
+      },
+    },
+  };
+}
+
+function toTransactionResponse(transaction) {
+  return {
+    digest: transaction.digest,
+    timestampMs: transaction.timestampMs,
+    transaction: { data: { sender: transaction.sender } },
+    effects: {
+      status: { status: 'success' },
+      transactionDigest: transaction.digest,
+      gasUsed: { computationCost: '0', storageCost: '0', storageRebate: '0', nonRefundableStorageFee: '0' },
+    },
+    objectChanges: transaction.objectChanges,
+  };
+}
+
+// Fills in object references and gas data from the mock state so Transaction#build works offline
+async function resolveMockTransaction(transactionData, options, next) {
+  const state = await loadState();
+
+  transactionData.inputs.forEach((input, index) => {
+    if (input.UnresolvedPure) {
+      throw new Error('The mock network only supports arguments created with tx.pure');
+    }
+    if (!input.UnresolvedObject) return;
+
+    const objectId = normalizeSuiObjectId(input.UnresolvedObject.objectId);
+    const object = state.objects[objectId];
+    if (!object) {
+      throw new Error(`Object ${objectId} does not exist on the mock network`);
+    }
+
+    transactionData.inputs[index] = object.owner.Shared
+      ? Inputs.SharedObjectRef({
+        objectId,
+        initialSharedVersion: object.owner.Shared.initial_shared_version,
+        mutable: true,
+      })
+      : Inputs.ObjectRef({ objectId, version: String(object.version), digest: object.digest });
+  });
+
+  if (!options.onlyTransactionKind) {
+    const gasOwner = transactionData.gasConfig.owner || transactionData.sender;
+    const gasCoin = Object.values(state.objects).find(object =>
+      object.coinType === SUI_TYPE && object.owner.AddressOwner === gasOwner
+    );
+    if (!transactionData.gasConfig.payment && !gasCoin) {
+      throw new Error(`No SUI gas coin for ${gasOwner} on the mock network`);
+    }
+
+    transactionData.gasConfig.price ??= String(MOCK_GAS_PRICE);
+    transactionData.gasConfig.budget ??= String(MOCK_GAS_BUDGET);
+    transactionData.gasConfig.payment ??= [{
+      objectId: gasCoin.objectId,
+      version: String(gasCoin.version),
+      digest: gasCoin.digest,
+    }];
+  }
+
+  return next();
+}
+
+/**
+ * Runs one transaction against a copy of the state; nothing is kept if it throws
+ */
+function createExecution(state, data, digest) {
+  const sender = normalizeSuiAddress(data.sender);
+  const touched = new Map();
+  const created = new Set();
+  const deleted = new Set();
+  const results = [];
+
+  function getObject(objectId) {
+    const object = state.objects[objectId];
+    if (!object || deleted.has(objectId)) {
+      throw new Error(`Object ${objectId} does not exist`);
+    }
+    return object;
+  }
+
+  function touch(object) {
+    if (!touched.has(object.objectId)) {
+      touched.set(object.objectId, { previousVersion: object.version, type: object.type });
+    }
+    return object;
+  }
+
+  function takeOwned(objectId) {
+    const object = getObject(objectId);
+    if (!created.has(objectId) && !object.owner.Shared && object.owner.AddressOwner !== sender) {
+      throw new Error(`Object ${objectId} is not owned by ${sender}`);
+    }
+    return touch(object);
+  }
+
+  function create(fields) {
+    const object = addObject(state, fields, digest);
+    created.add(object.objectId);
+    touched.set(object.objectId, { type: object.type });
+    return object;
+  }
+
+  function remove(objectId) {
+    touch(getObject(objectId));
+    deleted.add(objectId);
+  }
+
+  function resolve(argument) {
+    switch (argument.$kind) {
+      case 'Input': {
+        const input = data.inputs[argument.Input];
+        if (input.Pure) {
+          return { pure: fromBase64(input.Pure.bytes) };
+        }
+        const ref = input.Object.ImmOrOwnedObject || input.Object.SharedObject || input.Object.Receiving;
+        return { objectId: normalizeSuiObjectId(ref.objectId) };
+      }
+      case 'GasCoin':
+        return { objectId: normalizeSuiObjectId(data.gasData.payment[0].objectId) };
+      case 'Result': {
+        const result = results[argument.Result];
+        if (result.length !== 1) {
+          throw new Error(`Result ${argument.Result} has ${result.length} values`);
+        }
+        return result[0];
+      }
+      case 'NestedResult':
+        return results[argument.NestedResult[0]][argument.NestedResult[1]];
+      default:
+        throw new Error(`Unsupported argument ${argument.$kind}`);
+    }
+  }
+
+  function pure(argument, schema) {
+    const value = resolve(argument);
+    if (!value.pure) throw new Error('Expected a pure argument');
+    return schema.parse(value.pure);
+  }
+
+  function objectId(argument) {
+    const value = resolve(argument);
+    if (!value.objectId) throw new Error('Expected an object argument');
+    return value.objectId;
+  }
+
+  function getBalance(coin) {
+    return BigInt(coin.fields.balance);
+  }
+
+  function setBalance(coin, balance) {
+    coin.fields = { ...coin.fields, balance: String(balance) };
+  }
+
+  function withdraw(coin, amount) {
+    const balance = getBalance(coin);
+    if (balance < amount) {
+      throw new Error(`InsufficientCoinBalance: coin ${coin.objectId} holds ${balance}, needs ${amount}`);
+    }
+    setBalance(coin, balance - amount);
+  }
+
+  // Registration pays from whichever WAL coins the sender holds, like the SDK's coinWithBalance
+  function payWal(amount) {
+    const coins = Object.values(state.objects).filter(object =>
+      object.coinType === WAL_TYPE && object.owner.AddressOwner === sender && !deleted.has(object.objectId)
+    );
+    const total = coins.reduce((sum, coin) => sum + getBalance(coin), 0n);
+    if (total < amount) {
+      throw new Error(`InsufficientCoinBalance: ${sender} holds ${total} FROST of WAL, needs ${amount}`);
+    }
+
+    let remaining = amount;
+    for (const coin of coins) {
+      if (remaining === 0n) break;
+      const taken = getBalance(coin) < remaining ? getBalance(coin) : remaining;
+      withdraw(touch(coin), taken);
+      remaining -= taken;
+    }
+  }
+
+  function currentEpoch() {
+    return 1 + Math.floor((Date.now() - state.firstEpochStartMs) / MOCK_EPOCH_DURATION_MS);
+  }
+
+  function getBlob(argument) {
+    const blob = takeOwned(objectId(argument));
+    if (blob.type !== BLOB_TYPE) throw new Error(`Object ${blob.objectId} is not a Walrus blob`);
+    return blob;
+  }
+
+  const moveCalls = {
+    'system::register_blob': async ([, blobIdArg, sizeArg, epochsArg, deletableArg, keysArg, valuesArg]) => {
+      const blobId = pure(blobIdArg, bcs.u256());
+      const size = Number(pure(sizeArg, bcs.u64()));
+      const epochs = pure(epochsArg, bcs.u32());
+      const deletable = pure(deletableArg, bcs.bool());
+      const keys = pure(keysArg, bcs.vector(bcs.string()));
+      const values = pure(valuesArg, bcs.vector(bcs.string()));
+
+      if (epochs < 1 || epochs > MOCK_MAX_EPOCHS_AHEAD) {
+        throw new Error(`EInvalidEpochsAhead: ${epochs}`);
+      }
+
+      // Storage is recorded in whole units; the SDK doesn't expose the exact encoded size
+      const units = await mockStorageUnits(size);
+      payWal(units * (MOCK_STORAGE_PRICE * BigInt(epochs) + MOCK_WRITE_PRICE));
+
+      const epoch = currentEpoch();
+      const objectIdValue = randomObjectId();
+      const blob = create({
+        objectId: objectIdValue,
+        type: BLOB_TYPE,
+        owner: { AddressOwner: sender },
+        fields: {
+          id: { id: objectIdValue },
+          registered_epoch: epoch,
+          blob_id: String(blobId),
+          size: String(size),
+          encoding_type: 1,
+          certified_epoch: null,
+          storage: {
+            type: `${MOCK_PACKAGE_ID}::storage_resource::Storage`,
+            fields: {
+              id: { id: randomObjectId() },
+              start_epoch: epoch,
+              end_epoch: epoch + epochs,
+              storage_size: String(units * BigInt(BYTES_PER_STORAGE_UNIT)),
+            },
+          },
+          deletable,
+        },
+      });
+
+      if (keys.length > 0) {
+        const fieldId = getMetadataFieldId(blob.objectId);
+        create({
+          objectId: fieldId,
+          type: `0x2::dynamic_field::Field<vector<u8>, ${MOCK_PACKAGE_ID}::metadata::Metadata>`,
+          owner: { ObjectOwner: blob.objectId },
+          fields: {
+            id: { id: fieldId },
+            name: Array.from(bcs.string().serialize('metadata').toBytes()),
+            value: {
+              type: `${MOCK_PACKAGE_ID}::metadata::Metadata`,
+              fields: {
+                metadata: {
+                  type: '0x2::vec_map::VecMap<0x1::string::String, 0x1::string::String>',
+                  fields: {
+                    contents: keys.map((key, i) => ({
+                      type: '0x2::vec_map::Entry<0x1::string::String, 0x1::string::String>',
+                      fields: { key, value: values[i] },
+                    })),
+                  },
+                },
+              },
+            },
+          },
+        });
+      }
+
+      return [{ objectId: blob.objectId }];
+    },
+
+    'system::certify_blob': async ([, blobArg]) => {
+      const blob = getBlob(blobArg);
+      if (blob.fields.certified_epoch !== null) {
+        throw new Error(`EAlreadyCertified: ${blob.objectId}`);
+      }
+      if (!(await hasUploadedContent(blob))) {
+        throw new Error(`ENotCertified: no data was uploaded for ${blob.objectId}`);
+      }
+      blob.fields = { ...blob.fields, certified_epoch: currentEpoch() };
+      return [];
+    },
+
+    'system::extend_blob': async ([, blobArg, epochsArg, paymentArg]) => {
+      const blob = getBlob(blobArg);
+      const epochs = pure(epochsArg, bcs.u32());
+      const payment = takeOwned(objectId(paymentArg));
+      const storage = blob.fields.storage.fields;
+      const epoch = currentEpoch();
+
+      if (storage.end_epoch <= epoch) {
+        throw new Error(`EResourceBounds: blob ${blob.objectId} has expired`);
+      }
+      if (storage.end_epoch + epochs > epoch + MOCK_MAX_EPOCHS_AHEAD) {
+        throw new Error(`EInvalidEpochsAhead: cannot extend ${blob.objectId} by ${epochs} epochs`);
+      }
+
+      const units = BigInt(Math.ceil(Number(storage.storage_size) / BYTES_PER_STORAGE_UNIT));
+      withdraw(payment, units * MOCK_STORAGE_PRICE * BigInt(epochs));
+      blob.fields = {
+        ...blob.fields,
+        storage: { ...blob.fields.storage, fields: { ...storage, end_epoch: storage.end_epoch + epochs } },
+      };
+      return [];
+    },
+
+    'blob::burn': async ([blobArg]) => {
+      const blob = getBlob(blobArg);
+      const fieldId = getMetadataFieldId(blob.objectId);
+      if (state.objects[fieldId] && !deleted.has(fieldId)) {
+        remove(fieldId);
+      }
+      remove(blob.objectId);
+      return [];
+    },
+  };
+
+  async function hasUploadedContent(blob) {
+    return !!(await readMockBlobContent(blobIdFromInt(BigInt(blob.fields.blob_id))));
+  }
+
+  const commands = {
+    MoveCall: async ({ package: packageId, module, function: fn, arguments: args }) => {
+      const handler = normalizeSuiAddress(packageId) === MOCK_PACKAGE_ID && moveCalls[`${module}::${fn}`];
+      if (!handler) {
+        throw new Error(`${packageId}::${module}::${fn} is not available on the mock network`);
+      }
+      return handler(args);
+    },
+
+    SplitCoins: async ({ coin, amounts }) => {
+      const source = takeOwned(objectId(coin));
+      return amounts.map((amountArg) => {
+        const amount = BigInt(pure(amountArg, bcs.u64()));
+        withdraw(source, amount);
+        const splitId = randomObjectId();
+        create({
+          objectId: splitId,
+          type: source.type,
+          coinType: source.coinType,
+          owner: { AddressOwner: sender },
+          fields: { id: { id: splitId }, balance: String(amount) },
+        });
+        return { objectId: splitId };
+      });
+    },
+
+    MergeCoins: async ({ destination, sources }) => {
+      const target = takeOwned(objectId(destination));
+      for (const sourceArg of sources) {
+        const source = takeOwned(objectId(sourceArg));
+        if (source.coinType !== target.coinType) {
+          throw new Error('Cannot merge coins of different types');
+        }
+        setBalance(target, getBalance(target) + getBalance(source));
+        remove(source.objectId);
+      }
+      return [];
+    },
+
+    TransferObjects: async ({ objects, address }) => {
+      const recipient = normalizeSuiAddress(pure(address, bcs.Address));
+      for (const objectArg of objects) {
+        takeOwned(objectId(objectArg)).owner = { AddressOwner: recipient };
+      }
+      return [];
+    },
+  };
+
+  return {
+    async run() {
+      for (const command of data.commands) {
+        const handler = commands[command.$kind];
+        if (!handler) {
+          throw new Error(`${command.$kind} commands are not supported on the mock network`);
+        }
+        results.push(await handler(command[command.$kind]));
+      }
+
+      // Every object the transaction touched moves to the new lamport version
+      state.lamport += 1;
+      const objectChanges = [];
+      for (const [id, { previousVersion, type }] of touched) {
+        if (deleted.has(id)) {
+          delete state.objects[id];
+          state.deletedObjects ??= {}; // Missing from states saved by older builds
+          state.deletedObjects[id] = state.lamport;
+          if (!created.has(id)) {
+            objectChanges.push({ type: 'deleted', sender, objectType: type, objectId: id, version: String(state.lamport) });
+          }
+          continue;
+        }
+
+        const object = state.objects[id];
+        object.version = state.lamport;
+        object.digest = randomDigest();
+        object.previousTransaction = digest;
+        objectChanges.push({
+          type: created.has(id) ? 'created' : 'mutated',
+          sender,
+          owner: object.owner,
+          objectType: object.type,
+          objectId: id,
+          version: String(object.version),
+          ...(created.has(id) ? {} : { previousVersion: String(previousVersion) }),
+          digest: object.digest,
+        });
+      }
+
+      return { digest, sender, timestampMs: String(Date.now()), objectChanges };
+    },
+  };
+}
+
+/**
+ * Execute a transaction on the mock network. Transactions run one at a time;
+ * a failing transaction leaves the state untouched and reports a failure status.
+ * @param {Uint8Array|string|Transaction} transactionBlock - Built transaction bytes (or base64) or a Transaction
+ * @returns {Promise<Object>} Response shaped like executeTransactionBlock's
+ */
+export function executeMockTransaction(transactionBlock) {
+  const run = async () => {
+    const data = Transaction.from(transactionBlock).getData();
+    const current = await loadState();
+    const draft = structuredClone(current);
+    const digest = randomDigest();
+
+    try {
+      const transaction = await createExecution(draft, data, digest).run();
+      draft.transactions[digest] = transaction;
+      statePromise = Promise.resolve(draft);
+      await saveState(draft);
+
+      console.log('🧪 Mock transaction executed:', digest, transaction.objectChanges);
+      return toTransactionResponse(transaction);
+    } catch (error) {
+      console.warn('🧪 Mock transaction failed:', error.message);
+      return {
+        digest,
+        effects: { status: { status: 'failure', error: error.message }, transactionDigest: digest },
+        objectChanges: [],
+      };
+    }
+  };
+
+  return enqueue(run);
+}
+
+function enqueue(run) {
+  const result = executionQueue.then(run);
+  executionQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Give an address the same SUI and WAL as the built-in mock accounts,
+ * unless it already holds SUI
+ * @param {string} address - Sui address
+ * @returns {Promise<boolean>} True if funds were sent
+ */
+export function fundMockAddress(address) {
+  return enqueue(async () => {
+    const owner = normalizeSuiAddress(address);
+    const state = structuredClone(await loadState());
+    const funded = Object.values(state.objects).some(object =>
+      object.coinType === SUI_TYPE && object.owner.AddressOwner === owner
+    );
+    if (funded) return false;
+
+    const digest = randomDigest();
+    state.lamport += 1;
+    recordSystemTransaction(state, digest, addGenesisCoins(state, owner, digest));
+    statePromise = Promise.resolve(state);
+    await saveState(state);
+
+    console.log('🧪 Funded mock address:', owner);
+    return true;
+  });
+}
+
+/**
+ * Create a SuiClient stand-in backed by the mock chain
+ * @returns {Object} Object implementing the SuiClient calls used by the app
+ */
+export function createMockSuiClient() {
+  const getTransaction = async (digest) => {
+    const state = await loadState();
+    const transaction = state.transactions[digest];
+    if (!transaction) {
+      throw new Error(`Transaction ${digest} not found on the mock network`);
+    }
+    return toTransactionResponse(transaction);
+  };
+
+  return {
+    // Lets Transaction#build resolve inputs and gas against the mock state
+    core: {
+      resolveTransactionPlugin: () => resolveMockTransaction,
+    },
+
+    async getObject({ id }) {
+      return lookupObject(await loadState(), id);
+    },
+
+    async multiGetObjects({ ids }) {
+      const state = await loadState();
+      return ids.map(id => lookupObject(state, id));
+    },
+
+    async getOwnedObjects({ owner, filter }) {
+      const state = await loadState();
+      const address = normalizeSuiAddress(owner);
+      const structType = filter?.StructType && normalizeStructTag(filter.StructType);
+
+      const data = Object.values(state.objects)
+        .filter(object => object.owner.AddressOwner === address)
+        .filter(object => !structType || normalizeStructTag(object.type) === structType)
+        .map(toObjectResponse);
+
+      return { data, hasNextPage: false, nextCursor: null };
+    },
+
+    async getDynamicFields({ parentId }) {
+      const state = await loadState();
+      const parent = normalizeSuiObjectId(parentId);
+
+      const data = Object.values(state.objects)
+        .filter(object => object.owner.ObjectOwner === parent)
+        .map(object => ({
+          name: { type: 'vector<u8>', value: object.fields.name },
+          objectId: object.objectId,
+          objectType: object.fields.value.type,
+          type: 'DynamicField',
+          version: String(object.version),
+          digest: object.digest,
+        }));
+
+      return { data, hasNextPage: false, nextCursor: null };
+    },
+
+    async getCoins({ owner, coinType: innerType = SUI_TYPE_ARG }) {
+      const state = await loadState();
+      const address = normalizeSuiAddress(owner);
+      const type = normalizeStructTag(innerType);
+
+      const data = Object.values(state.objects)
+        .filter(object => object.coinType === type && object.owner.AddressOwner === address)
+        .map(coin => ({
+          coinType: type,
+          coinObjectId: coin.objectId,
+          version: String(coin.version),
+          digest: coin.digest,
+          balance: coin.fields.balance,
+          previousTransaction: coin.previousTransaction,
+        }));
+
+      return { data, hasNextPage: false, nextCursor: null };
+    },
+
+    async getReferenceGasPrice() {
+      return MOCK_GAS_PRICE;
+    },
+
+    async getTransactionBlock({ digest }) {
+      return getTransaction(digest);
+    },
+
+    async multiGetTransactionBlocks({ digests }) {
+      return Promise.all(digests.map(getTransaction));
+    },
+
+    async waitForTransaction({ digest }) {
+      return getTransaction(digest);
+    },
+
+    // Only the ChangedObject filter; transactions are kept in the order they ran
+    async queryTransactionBlocks({ filter, order = 'ascending', limit }) {
+      const state = await loadState();
+      const objectId = normalizeSuiObjectId(filter.ChangedObject);
+
+      const matches = Object.values(state.transactions)
+        .filter(transaction => transaction.objectChanges.some(change => change.objectId === objectId));
+      if (order === 'descending') {
+        matches.reverse();
+      }
+
+      const data = matches.slice(0, limit ?? matches.length).map(toTransactionResponse);
+      return { data, hasNextPage: data.length < matches.length, nextCursor: null };
+    },
+
+    async executeTransactionBlock({ transactionBlock }) {
+      return executeMockTransaction(transactionBlock);
+    },
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Mock Wallet - Wallet Standard wallet for the mock network profile.
+ * Offers the funded mock accounts and signs without prompting; the mock chain
+ * doesn't check signatures, so they are placeholders.
+ */
+
+import { getWallets, ReadonlyWalletAccount } from '@mysten/wallet-standard';
+import { Transaction } from '@mysten/sui/transactions';
+import { toBase64 } from '@mysten/sui/utils';
+import { NETWORK_PROFILES } from '../config/networks.js';
+import { MOCK_ACCOUNTS, createMockSuiClient } from './mock-chain.js';
+
+const CHAIN = NETWORK_PROFILES.mock.chain;
+
+const ICON = `data:image/svg+xml;base64,${btoa(
+  '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32"><rect width="32" height="32" rx="8" fill="#6b7280"/>'
+  + '<text x="16" y="22" font-size="16" text-anchor="middle" fill="#fff" font-family="sans-serif">M</text></svg>'
+)}`;
+
+// Ed25519 signature scheme flag, signature and public key; never verified by the mock chain
+const PLACEHOLDER_SIGNATURE = toBase64(new Uint8Array(1 + 64 + 32));
+
+let registered = false;
+
+async function buildTransaction(transaction, account) {
+  const tx = Transaction.from(await transaction.toJSON());
+  tx.setSenderIfNotSet(account.address);
+  return tx.build({ client: createMockSuiClient() });
+}
+
+function createMockWallet() {
+  const accounts = MOCK_ACCOUNTS.map(({ label, address }) => new ReadonlyWalletAccount({
+    address,
+    label,
+    publicKey: new Uint8Array(32),
+    chains: [CHAIN],
+    features: ['sui:signTransaction', 'sui:signAndExecuteTransactionBlock'],
+  }));
+
+  return {
+    version: '1.0.0',
+    name: 'Mock Wallet',
+    icon: ICON,
+    chains: [CHAIN],
+    accounts,
+    features: {
+      'standard:connect': {
+        version: '1.0.0',
+        connect: async () => ({ accounts }),
+      },
+      'standard:disconnect': {
+        version: '1.0.0',
+        disconnect: async () => {},
+      },
+      // Accounts never change, so there is nothing to emit
+      'standard:events': {
+        version: '1.0.0',
+        on: () => () => {},
+      },
+      'sui:signTransaction': {
+        version: '2.0.0',
+        signTransaction: async ({ transaction, account }) => {
+          const bytes = await buildTransaction(transaction, account);
+          return { bytes: toBase64(bytes), signature: PLACEHOLDER_SIGNATURE };
+        },
+      },
+      'sui:signAndExecuteTransactionBlock': {
+        version: '1.0.0',
+        signAndExecuteTransactionBlock: async ({ transactionBlock, account, options }) => {
+          const client = createMockSuiClient();
+          const bytes = await buildTransaction(transactionBlock, account);
+          return client.executeTransactionBlock({
+            transactionBlock: bytes,
+            signature: PLACEHOLDER_SIGNATURE,
+            options,
+          });
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Register the mock wallet with the Wallet Standard registry, once per page load
+ */
+export function registerMockWallet() {
+  if (registered) return;
+  registered = true;
+  getWallets().register(createMockWallet());
+  console.log('🧪 Registered mock wallet');
+}
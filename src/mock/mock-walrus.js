@@ -0,0 +1,164 @@
+/**
+ * Mock Walrus - In-browser stand-ins for the Walrus client, upload relay and
+ * aggregator used by the mock network profile. Blob content is kept next to the
+ * mock chain state and served back through the same paths as a real aggregator.
+ */
+
+import { Transaction } from '@mysten/sui/transactions';
+import { blobIdFromInt, blobIdToInt } from '@mysten/walrus';
+import { NETWORK_PROFILES } from '../config/networks.js';
+import {
+  MOCK_PACKAGE_ID,
+  MOCK_SYSTEM_OBJECT_ID,
+  MOCK_N_SHARDS,
+  MOCK_EPOCH_DURATION_MS,
+  getMockEpoch,
+  getMockSystemState,
+  getMockEncoder,
+  getMockObject,
+  storeMockBlobContent,
+  readMockBlobContent,
+  createMockSuiClient,
+} from './mock-chain.js';
+
+const PROFILE = NETWORK_PROFILES.mock;
+
+/**
+ * Create a WalrusClient stand-in backed by the mock chain
+ * @returns {Object} Object implementing the WalrusClient calls used by the app
+ */
+export function createMockWalrusClient() {
+  return {
+    async getBlobType() {
+      return PROFILE.blobType;
+    },
+
+    async systemObject() {
+      return { id: { id: MOCK_SYSTEM_OBJECT_ID }, package_id: MOCK_PACKAGE_ID };
+    },
+
+    systemState() {
+      return getMockSystemState();
+    },
+
+    async stakingState() {
+      const { epoch, firstEpochStartMs } = await getMockEpoch();
+      return {
+        epoch,
+        n_shards: MOCK_N_SHARDS,
+        epoch_duration: String(MOCK_EPOCH_DURATION_MS),
+        first_epoch_start: String(firstEpochStartMs),
+      };
+    },
+
+    // Same pricing register_blob on the mock chain charges
+    storageCost(size, epochs) {
+      return getMockEncoder().storageCost(size, epochs);
+    },
+
+    computeBlobMetadata({ bytes }) {
+      return getMockEncoder().computeBlobMetadata({ bytes, numShards: MOCK_N_SHARDS });
+    },
+
+    // The mock relay doesn't charge a tip
+    async calculateUploadRelayTip() {
+      return 0n;
+    },
+
+    sendUploadRelayTip() {
+      return () => {};
+    },
+
+    registerBlob({ size, epochs, blobId, deletable, attributes = {} }) {
+      const entries = Object.entries(attributes).filter(([, value]) => value !== null && value !== undefined);
+
+      return tx => tx.moveCall({
+        target: `${MOCK_PACKAGE_ID}::system::register_blob`,
+        arguments: [
+          tx.object(MOCK_SYSTEM_OBJECT_ID),
+          tx.pure.u256(blobIdToInt(blobId)),
+          tx.pure.u64(size),
+          tx.pure.u32(epochs),
+          tx.pure.bool(deletable),
+          tx.pure.vector('string', entries.map(([key]) => key)),
+          tx.pure.vector('string', entries.map(([, value]) => value)),
+        ],
+      });
+    },
+
+    async writeBlobToUploadRelay({ blobId, blob, blobObjectId }) {
+      const object = await getMockObject(blobObjectId);
+      if (!object || blobIdFromInt(BigInt(object.fields.blob_id)) !== blobId) {
+        throw new Error(`Blob object ${blobObjectId} is not registered for blob ${blobId}`);
+      }
+
+      await storeMockBlobContent(blobId, blob);
+      console.log('🧪 Mock upload relay stored blob:', blobId);
+      return { blobId, certificate: { blobId, signers: [], serializedMessage: new Uint8Array(), signature: new Uint8Array() } };
+    },
+
+    certifyBlobTransaction({ blobObjectId }) {
+      const transaction = new Transaction();
+      transaction.moveCall({
+        target: `${MOCK_PACKAGE_ID}::system::certify_blob`,
+        arguments: [transaction.object(MOCK_SYSTEM_OBJECT_ID), transaction.object(blobObjectId)],
+      });
+      return transaction;
+    },
+
+    // Register, upload and certify in one go, like WalrusClient.writeBlob
+    async writeBlob({ blob, epochs, deletable, signer, owner = signer.toSuiAddress(), attributes }) {
+      const suiClient = createMockSuiClient();
+      const { blobId } = await this.computeBlobMetadata({ bytes: blob });
+
+      const registerTx = new Transaction();
+      registerTx.setSenderIfNotSet(signer.toSuiAddress());
+      registerTx.transferObjects([this.registerBlob({ size: blob.length, epochs, blobId, deletable, attributes })], owner);
+      const { digest } = await signer.signAndExecuteTransaction({ transaction: registerTx, client: suiClient });
+
+      const { objectChanges } = await suiClient.getTransactionBlock({ digest });
+      const blobObjectId = objectChanges.find(change => change.type === 'created' && change.objectType === PROFILE.blobType)?.objectId;
+      if (!blobObjectId) {
+        throw new Error(`Blob registration failed in transaction ${digest}`);
+      }
+
+      await this.writeBlobToUploadRelay({ blobId, blob, blobObjectId });
+      await signer.signAndExecuteTransaction({ transaction: this.certifyBlobTransaction({ blobObjectId }), client: suiClient });
+
+      return { blobId, blobObject: await getMockObject(blobObjectId) };
+    },
+  };
+}
+
+function notFound() {
+  return new Response('Blob not found', { status: 404, statusText: 'Not Found' });
+}
+
+/**
+ * Answer an aggregator read from the mock network's stored blobs.
+ * Supports the same paths as a real aggregator; blob objects must be certified to be served.
+ * @param {string} path - Aggregator path, e.g. '/v1/blobs/<id>'
+ * @returns {Promise<Response>} Blob content or a 404
+ */
+export async function handleMockAggregatorRequest(path) {
+  const byObjectId = path.match(/^\/v1\/blobs\/by-object-id\/(0x[0-9a-fA-F]+)$/);
+  const byBlobId = path.match(/^\/v1\/(?:blobs\/)?([A-Za-z0-9_-]+)$/);
+
+  let blobId;
+  if (byObjectId) {
+    const object = await getMockObject(byObjectId[1]);
+    if (!object?.fields.certified_epoch) {
+      return notFound();
+    }
+    blobId = blobIdFromInt(BigInt(object.fields.blob_id));
+  } else if (byBlobId) {
+    blobId = byBlobId[1];
+  } else {
+    return notFound();
+  }
+
+  const data = await readMockBlobContent(blobId);
+  return data
+    ? new Response(data, { status: 200, headers: { 'Content-Type': 'application/octet-stream' } })
+    : notFound();
+}
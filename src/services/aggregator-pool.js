@@ -0,0 +1,213 @@
+/**
+ * Aggregator Pool Service
+ * Reads from the configured aggregators with hedged requests, timeouts and
+ * per-endpoint health so slow or failing endpoints are used last
+ */
+
+import { resolveAggregators } from '../utils/router.js';
+import { getNetworkProfile } from './network.js';
+import { handleMockAggregatorRequest } from '../mock/mock-walrus.js';
+import {
+  AGGREGATOR_TIMEOUT_MS,
+  AGGREGATOR_HEDGE_DELAY_MS,
+  AGGREGATOR_FAILURE_THRESHOLD,
+  AGGREGATOR_DEMOTION_MS,
+} from '../config/constants.js';
+
+const HEALTH_KEY = 'walrus_aggregator_health';
+
+/**
+ * Weight of the newest sample in the moving average latency
+ * @type {number}
+ */
+const LATENCY_SMOOTHING = 0.3;
+
+/**
+ * Latency assumed for endpoints never measured, so they get tried ahead of slow ones
+ * @type {number}
+ */
+const UNKNOWN_LATENCY_MS = 1_000;
+
+function loadHealth() {
+  try {
+    return JSON.parse(localStorage.getItem(HEALTH_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveHealth(health) {
+  try {
+    localStorage.setItem(HEALTH_KEY, JSON.stringify(health));
+  } catch (error) {
+    console.warn('Failed to save aggregator health:', error);
+  }
+}
+
+function updateHealth(url, update) {
+  const health = loadHealth();
+  health[url] = update(health[url] || { successes: 0, failures: 0, consecutiveFailures: 0, latencyMs: null });
+  saveHealth(health);
+}
+
+function recordSuccess(url, latencyMs) {
+  updateHealth(url, entry => ({
+    ...entry,
+    successes: entry.successes + 1,
+    consecutiveFailures: 0,
+    latencyMs: entry.latencyMs === null
+      ? Math.round(latencyMs)
+      : Math.round(entry.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING),
+    lastSuccessAt: Date.now(),
+  }));
+}
+
+function recordFailure(url, error) {
+  console.warn(`Aggregator ${url} failed:`, error.message);
+  updateHealth(url, entry => ({
+    ...entry,
+    failures: entry.failures + 1,
+    consecutiveFailures: entry.consecutiveFailures + 1,
+    lastFailureAt: Date.now(),
+    lastError: error.message,
+  }));
+}
+
+/**
+ * Whether an endpoint has failed repeatedly and recently enough to be used last
+ * @param {Object} entry - Health entry
+ * @returns {boolean} True if demoted
+ */
+function isDemoted(entry) {
+  return !!entry
+    && entry.consecutiveFailures >= AGGREGATOR_FAILURE_THRESHOLD
+    && Date.now() - entry.lastFailureAt < AGGREGATOR_DEMOTION_MS;
+}
+
+/**
+ * Get recorded health for each aggregator in use
+ * @returns {Array<{url: string, latencyMs: number|null, successes: number, failures: number, demoted: boolean}>}
+ */
+export function getAggregatorHealth() {
+  const health = loadHealth();
+  return resolveAggregators().urls.map((url) => {
+    const entry = health[url];
+    return {
+      url,
+      latencyMs: entry?.latencyMs ?? null,
+      successes: entry?.successes || 0,
+      failures: entry?.failures || 0,
+      demoted: isDemoted(entry),
+    };
+  });
+}
+
+/**
+ * Order aggregators by health: demoted ones last, then fastest first.
+ * Ties keep the user's configured order.
+ * @param {Array<string>} urls - Aggregator URLs in configured order
+ * @returns {Array<string>} Aggregator URLs in the order they should be tried
+ */
+export function rankAggregators(urls) {
+  const health = loadHealth();
+  const score = (url) => {
+    const entry = health[url];
+    return [isDemoted(entry) ? 1 : 0, entry?.latencyMs ?? UNKNOWN_LATENCY_MS];
+  };
+
+  return [...urls].sort((a, b) => {
+    const [demotedA, latencyA] = score(a);
+    const [demotedB, latencyB] = score(b);
+    return demotedA - demotedB || latencyA - latencyB;
+  });
+}
+
+/**
+ * Fetch a path from the aggregators. The best ranked endpoint is asked first;
+ * if it hasn't answered within AGGREGATOR_HEDGE_DELAY_MS, or fails, the next one
+ * is asked too, and the first good response wins. Network errors, timeouts and
+ * 5xx responses count against an endpoint; other responses are returned as is.
+ * On the mock network the read is answered in the page instead.
+ * @param {string} path - Path starting with '/', e.g. '/v1/blobs/<id>'
+ * @returns {Promise<{response: Response, aggregator: string}>} Winning response and its endpoint
+ */
+export function fetchFromAggregators(path) {
+  const urls = rankAggregators(resolveAggregators().urls);
+
+  if (getNetworkProfile().mock) {
+    return handleMockAggregatorRequest(path).then(response => ({ response, aggregator: urls[0] }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const controllers = [];
+    let nextIndex = 0;
+    let inFlight = 0;
+    let settled = false;
+    let lastError = null;
+
+    function finishIfExhausted() {
+      if (!settled && inFlight === 0 && nextIndex >= urls.length) {
+        settled = true;
+        reject(lastError || new Error('No aggregators configured'));
+      }
+    }
+
+    function tryNext() {
+      if (settled || nextIndex >= urls.length) {
+        finishIfExhausted();
+        return;
+      }
+
+      const url = urls[nextIndex++];
+      const controller = new AbortController();
+      controllers.push(controller);
+      inFlight++;
+
+      let advanced = false;
+      const advance = () => {
+        if (!advanced) {
+          advanced = true;
+          tryNext();
+        }
+      };
+
+      const hedgeTimer = setTimeout(advance, AGGREGATOR_HEDGE_DELAY_MS);
+      const timeoutTimer = setTimeout(() => controller.abort(new Error(`Timed out after ${AGGREGATOR_TIMEOUT_MS} ms`)), AGGREGATOR_TIMEOUT_MS);
+      const startedAt = performance.now();
+
+      fetch(`${url}${path}`, { signal: controller.signal })
+        .then((response) => {
+          if (response.status >= 500) {
+            throw new Error(`${response.status} ${response.statusText}`);
+          }
+
+          recordSuccess(url, performance.now() - startedAt);
+          if (settled) return;
+
+          settled = true;
+          clearTimeout(hedgeTimer);
+          controllers.forEach(other => other !== controller && other.abort());
+          resolve({ response, aggregator: url });
+        })
+        .catch((error) => {
+          // Requests aborted because another endpoint won aren't failures
+          if (settled) return;
+
+          const reason = controller.signal.aborted && controller.signal.reason instanceof Error
+            ? controller.signal.reason
+            : error;
+          recordFailure(url, reason);
+          lastError = new Error(`Aggregator ${url} failed: ${reason.message}`);
+          clearTimeout(hedgeTimer);
+          advance();
+        })
+        .finally(() => {
+          clearTimeout(timeoutTimer);
+          inFlight--;
+          finishIfExhausted();
+        });
+    }
+
+    tryNext();
+  });
+}
@@ -0,0 +1,75 @@
+/**
+ * Blob Cache Service
+ * Content-addressed store for blob bytes in IndexedDB. A blob ID is derived
+ * from the content, so cached entries never need revalidating; they are only
+ * evicted, least recently read first, to stay within BLOB_CACHE_MAX_BYTES.
+ */
+
+import { withTransaction } from '../utils/idb.js';
+import { BLOB_CACHE_MAX_BYTES } from '../config/constants.js';
+
+// Sizes and access times live apart from the bytes so eviction never loads content
+const ENTRIES_STORE = 'blobEntries';
+const DATA_STORE = 'blobData';
+
+/**
+ * Read cached blob content and mark it as recently used
+ * @param {string} blobId - Base64url blob ID
+ * @returns {Promise<Uint8Array|null>} Blob bytes or null on a miss
+ */
+export async function getCachedBlobContent(blobId) {
+  try {
+    const record = await withTransaction([ENTRIES_STORE, DATA_STORE], 'readwrite', (transaction) => {
+      const entries = transaction.objectStore(ENTRIES_STORE);
+      const entryRequest = entries.get(blobId);
+      entryRequest.onsuccess = () => {
+        if (entryRequest.result) {
+          entries.put({ ...entryRequest.result, lastAccessed: Date.now() });
+        }
+      };
+      return transaction.objectStore(DATA_STORE).get(blobId);
+    });
+    return record?.data || null;
+  } catch (error) {
+    console.warn('Could not read blob cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Store blob content, evicting least recently read blobs beyond the size budget
+ * @param {string} blobId - Base64url blob ID
+ * @param {Uint8Array} data - Blob bytes
+ * @returns {Promise<void>}
+ */
+export async function cacheBlobContent(blobId, data) {
+  if (data.byteLength > BLOB_CACHE_MAX_BYTES) return;
+
+  try {
+    await withTransaction([ENTRIES_STORE, DATA_STORE], 'readwrite', (transaction) => {
+      const entries = transaction.objectStore(ENTRIES_STORE);
+      const blobs = transaction.objectStore(DATA_STORE);
+
+      blobs.put({ blobId, data });
+      entries.put({ blobId, size: data.byteLength, lastAccessed: Date.now() });
+
+      // Requests run in order, so this listing already includes the new entry
+      const listRequest = entries.getAll();
+      listRequest.onsuccess = () => {
+        const all = listRequest.result.sort((a, b) => a.lastAccessed - b.lastAccessed);
+        let total = all.reduce((sum, entry) => sum + entry.size, 0);
+
+        for (const entry of all) {
+          if (total <= BLOB_CACHE_MAX_BYTES) break;
+          if (entry.blobId === blobId) continue;
+          entries.delete(entry.blobId);
+          blobs.delete(entry.blobId);
+          total -= entry.size;
+          console.log('🧹 Evicted cached blob:', entry.blobId);
+        }
+      };
+    });
+  } catch (error) {
+    console.warn('Could not update blob cache:', error);
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Blob Extension Service
+ * Prices storage extensions from the live Walrus system state
+ */
+
+import { BYTES_PER_STORAGE_UNIT } from '../config/constants.js';
+import { createSuiClient, createWalrusClient } from './network.js';
+import { getEpochTiming } from './epoch-timing.js';
+import { multiGetObjectsBatched } from '../utils/rpc-batch.js';
+
+/**
+ * Load everything needed to price extensions for a set of blobs.
+ * Blob storage fields are read fresh from chain rather than trusted from callers.
+ * @param {Array<string>} objectIds - Blob object IDs
+ * @returns {Promise<Object>} Extension context for quoteExtension
+ */
+export async function loadExtensionContext(objectIds) {
+  const client = createSuiClient();
+  const walrusClient = createWalrusClient();
+
+  const [systemState, timing, objects] = await Promise.all([
+    walrusClient.systemState(),
+    getEpochTiming(walrusClient),
+    multiGetObjectsBatched(client, objectIds, { showContent: true }),
+  ]);
+
+  const blobs = objects.map((object, i) => {
+    const storage = object.data?.content?.fields?.storage?.fields;
+    if (!storage) {
+      return { objectId: objectIds[i], error: object.error?.code || 'Blob object not found' };
+    }
+
+    return {
+      objectId: objectIds[i],
+      endEpoch: Number(storage.end_epoch),
+      storageUnits: Math.ceil(Number(storage.storage_size) / BYTES_PER_STORAGE_UNIT),
+    };
+  });
+
+  return {
+    timing,
+    currentEpoch: timing.currentEpoch,
+    maxEpochsAhead: timing.maxEpochsAhead,
+    storagePricePerUnit: BigInt(systemState.storage_price_per_unit_size),
+    blobs,
+  };
+}
+
+/**
+ * How many more epochs a blob can be extended by without passing max_epochs_ahead
+ * @param {Object} blob - Blob entry from an extension context
+ * @param {Object} context - Extension context
+ * @returns {number} Maximum extension in epochs (0 if none is possible)
+ */
+export function getMaxExtension(blob, context) {
+  if (blob.error || blob.endEpoch <= context.currentEpoch) {
+    return 0;
+  }
+  return Math.max(0, context.maxEpochsAhead - (blob.endEpoch - context.currentEpoch));
+}
+
+/**
+ * Price an extension of every blob in a context by up to the requested epochs.
+ * Each blob is clamped to what max_epochs_ahead allows; blobs that can't be
+ * extended at all are reported in `skipped`.
+ * @param {Object} context - Result of loadExtensionContext
+ * @param {number} epochs - Requested number of additional epochs
+ * @returns {{items: Array, skipped: Array, totalCost: bigint}} Extension plan with exact WAL cost in FROST
+ */
+export function quoteExtension(context, epochs) {
+  const items = [];
+  const skipped = [];
+
+  for (const blob of context.blobs) {
+    if (blob.error) {
+      skipped.push({ objectId: blob.objectId, reason: blob.error });
+      continue;
+    }
+
+    if (blob.endEpoch <= context.currentEpoch) {
+      skipped.push({ objectId: blob.objectId, reason: 'Storage already expired' });
+      continue;
+    }
+
+    const blobEpochs = Math.min(epochs, getMaxExtension(blob, context));
+    if (blobEpochs <= 0) {
+      skipped.push({ objectId: blob.objectId, reason: `Already at max_epochs_ahead (${context.maxEpochsAhead})` });
+      continue;
+    }
+
+    // Mirrors system::extend_blob: units of encoded size × price × epochs
+    const cost = BigInt(blob.storageUnits) * context.storagePricePerUnit * BigInt(blobEpochs);
+
+    items.push({
+      objectId: blob.objectId,
+      epochs: blobEpochs,
+      endEpoch: blob.endEpoch,
+      newEndEpoch: blob.endEpoch + blobEpochs,
+      cost,
+    });
+  }
+
+  return {
+    items,
+    skipped,
+    totalCost: items.reduce((sum, item) => sum + item.cost, 0n),
+  };
+}
@@ -3,19 +3,68 @@
  * Handles fetching and parsing blob metadata from Sui blockchain
  */
 
-import { SuiClient } from '@mysten/sui/client';
-import { getSuiRpcUrl } from '../utils/settings.js';
-import { PAGE_TITLE_ATTRIBUTE, CONTENT_TYPE_ATTRIBUTE } from '../config/constants.js';
+import { bcs } from '@mysten/sui/bcs';
+import { deriveDynamicFieldID } from '@mysten/sui/utils';
+import { multiGetObjectsBatched } from '../utils/rpc-batch.js';
+import { getCachedBlob, getCachedBlobVersion, cacheBlobs } from './metadata-cache.js';
+import { createSuiClient } from './network.js';
+import { PAGE_TITLE_ATTRIBUTE, CONTENT_TYPE_ATTRIBUTE, PREVIOUS_VERSION_ATTRIBUTE } from '../config/constants.js';
 
 /**
- * Get blob metadata including expiry and storage information
+ * Extract blob metadata from an object response
+ * @param {Object} objectData - The `data` of a getObject/getOwnedObjects response
+ * @returns {Object} Blob metadata object
+ */
+export function parseBlobMetadata(objectData) {
+  const content = objectData.content;
+  let expiryEpoch = null;
+  let blobId = null;
+  let storageSize = null;
+  let certifiedEpoch = null;
+  
+  if (content && content.dataType === 'moveObject' && content.fields) {
+    const fields = content.fields;
+    
+    // Try to extract common Walrus blob fields
+    if (fields.storage && fields.storage.fields) {
+      expiryEpoch = fields.storage.fields.end_epoch || fields.storage.fields.endEpoch;
+      storageSize = fields.storage.fields.storage_size || fields.storage.fields.storageSize;
+    }
+    
+    blobId = fields.blob_id || fields.blobId || fields.id;
+    certifiedEpoch = fields.certified_epoch ? parseInt(fields.certified_epoch) : null;
+  }
+  
+  return {
+    objectId: objectData.objectId,
+    version: objectData.version,
+    digest: objectData.digest,
+    expiryEpoch,
+    blobId,
+    storageSize,
+    certifiedEpoch,
+    owner: objectData.owner,
+  };
+}
+
+/**
+ * Address that owns a blob, or null for shared/wrapped objects
+ * @param {Object} metadata - Blob metadata object
+ * @returns {string|null} Owner address
+ */
+export function getOwnerAddress(metadata) {
+  return metadata.owner?.AddressOwner || null;
+}
+
+/**
+ * Get blob metadata including expiry and storage information.
+ * Falls back to the last cached metadata if the RPC can't be reached.
  * @param {string} objectId - Blob object ID on Sui blockchain
  * @returns {Promise<Object>} Blob metadata object
  */
 export async function getBlobMetadata(objectId) {
   try {
-    const suiRpcUrl = getSuiRpcUrl();
-    const client = new SuiClient({ url: suiRpcUrl });
+    const client = createSuiClient();
     
     // Get object details
     const object = await client.getObject({
@@ -31,34 +80,27 @@ export async function getBlobMetadata(objectId) {
       throw new Error('Blob object not found');
     }
     
-    // Extract blob metadata from object content
-    const content = object.data.content;
-    let expiryEpoch = null;
-    let blobId = null;
-    let storageSize = null;
+    const metadata = parseBlobMetadata(object.data);
     
-    if (content && content.dataType === 'moveObject' && content.fields) {
-      const fields = content.fields;
-      
-      // Try to extract common Walrus blob fields
-      if (fields.storage && fields.storage.fields) {
-        expiryEpoch = fields.storage.fields.end_epoch || fields.storage.fields.endEpoch;
-        storageSize = fields.storage.fields.storage_size || fields.storage.fields.storageSize;
-      }
-      
-      blobId = fields.blob_id || fields.blobId || fields.id;
-    }
-    
-    return {
+    await cacheBlobs([{
       objectId,
-      expiryEpoch,
-      blobId,
-      storageSize,
-      owner: object.data.owner,
-    };
+      version: metadata.version,
+      digest: metadata.digest,
+      owner: getOwnerAddress(metadata),
+      metadata,
+    }]);
+    
+    return metadata;
     
   } catch (error) {
     console.error('Error getting blob metadata:', error);
+    
+    const cached = await getCachedBlob(objectId);
+    if (cached?.metadata) {
+      console.log('Using cached metadata for', objectId);
+      return cached.metadata;
+    }
+    
     // Return partial data instead of throwing
     return {
       objectId,
@@ -69,85 +111,147 @@ export async function getBlobMetadata(objectId) {
   }
 }
 
+/**
+ * Walrus stores blob attributes in a dynamic field named b"metadata"
+ * @type {Uint8Array}
+ */
+const METADATA_FIELD_NAME = bcs.string().serialize('metadata').toBytes();
+
+/**
+ * Derive the object ID of a blob's attribute dynamic field without listing its fields
+ * @param {string} objectId - Blob object ID
+ * @returns {string} Dynamic field object ID
+ */
+export function getMetadataFieldId(objectId) {
+  return deriveDynamicFieldID(objectId, 'vector<u8>', METADATA_FIELD_NAME);
+}
+
+/**
+ * Parse every attribute from a metadata dynamic field object in one pass
+ * @param {Object} fieldObject - getObject/multiGetObjects response for the metadata field
+ * @returns {Object<string, string>} Attribute map (empty if the blob has none)
+ */
+export function parseBlobAttributes(fieldObject) {
+  const attributes = {};
+  const contents = fieldObject?.data?.content?.fields?.value?.fields?.metadata?.fields?.contents;
+  
+  if (Array.isArray(contents)) {
+    for (const entry of contents) {
+      const key = entry.fields?.key || entry.key;
+      const value = entry.fields?.value || entry.value;
+      if (key) {
+        attributes[key] = value;
+      }
+    }
+  }
+  
+  return attributes;
+}
+
+/**
+ * Get all attributes for many blobs, reading metadata fields in batches
+ * @param {SuiClient} client - Sui client
+ * @param {Array<string>} objectIds - Blob object IDs
+ * @returns {Promise<Map<string, Object>>} Attribute maps keyed by blob object ID
+ */
+export async function getBlobAttributesBatch(client, objectIds) {
+  const fieldObjects = await multiGetObjectsBatched(
+    client,
+    objectIds.map(getMetadataFieldId),
+    { showContent: true }
+  );
+  
+  return new Map(objectIds.map((objectId, i) => [objectId, parseBlobAttributes(fieldObjects[i])]));
+}
+
+/**
+ * Get all attributes of a blob.
+ * With a known version, attributes cached for that version are returned without
+ * any RPC call; otherwise the blob and its metadata field are read together.
+ * @param {string} objectId - Blob object ID
+ * @param {Object} options
+ * @param {string} options.version - Blob object version, if already known
+ * @returns {Promise<Object<string, string>>} Attribute map
+ */
+export async function getBlobAttributes(objectId, { version } = {}) {
+  if (version) {
+    const cached = await getCachedBlobVersion(objectId, version);
+    if (cached?.attributes) {
+      return cached.attributes;
+    }
+  }
+  
+  const client = createSuiClient();
+  
+  const [blobObject, fieldObject] = await client.multiGetObjects({
+    ids: [objectId, getMetadataFieldId(objectId)],
+    options: { showContent: true, showOwner: true },
+  });
+  
+  const attributes = parseBlobAttributes(fieldObject);
+  
+  if (blobObject?.data) {
+    const metadata = parseBlobMetadata(blobObject.data);
+    await cacheBlobs([{
+      objectId,
+      version: metadata.version,
+      digest: metadata.digest,
+      owner: getOwnerAddress(metadata),
+      metadata,
+      attributes,
+    }]);
+  }
+  
+  return attributes;
+}
+
 /**
  * Get a specific attribute from blob metadata
  * @param {string} objectId - Blob object ID
  * @param {string} attributeName - Name of attribute to retrieve
+ * @param {Object} options - Passed to getBlobAttributes
  * @returns {Promise<string|null>} Attribute value or null
  */
-export async function getBlobAttribute(objectId, attributeName) {
+export async function getBlobAttribute(objectId, attributeName, options = {}) {
   try {
-    const suiRpcUrl = getSuiRpcUrl();
-    const client = new SuiClient({ url: suiRpcUrl });
-    
-    // Get dynamic fields (where attributes are stored)
-    const dynamicFields = await client.getDynamicFields({
-      parentId: objectId,
-    });
-    
-    if (!dynamicFields || !dynamicFields.data) {
-      return null;
-    }
-    
-    // Look for the "metadata" field
-    for (const field of dynamicFields.data) {
-      let fieldName = field.name?.value;
-      if (Array.isArray(fieldName)) {
-        fieldName = String.fromCharCode(...fieldName);
-      } else {
-        fieldName = field.name?.value || field.name;
-      }
-      
-      if (fieldName === 'metadata') {
-        // Get the metadata object
-        const metadataObject = await client.getDynamicFieldObject({
-          parentId: objectId,
-          name: field.name,
-        });
-        
-        // Look for attributes in the metadata
-        const metadataFields = metadataObject?.data?.content?.fields?.value?.fields;
-        
-        if (metadataFields && metadataFields.metadata) {
-          const contents = metadataFields.metadata.fields?.contents;
-          
-          if (Array.isArray(contents)) {
-            for (const entry of contents) {
-              const key = entry.fields?.key || entry.key;
-              const value = entry.fields?.value || entry.value;
-              
-              if (key === attributeName) {
-                return value;
-              }
-            }
-          }
-        }
-      }
-    }
-    
-    return null;
+    const attributes = await getBlobAttributes(objectId, options);
+    return attributes[attributeName] ?? null;
   } catch (error) {
     console.error(`Error fetching ${attributeName}:`, error);
-    return null;
+    
+    const cached = await getCachedBlob(objectId);
+    return cached?.attributes?.[attributeName] ?? null;
   }
 }
 
 /**
  * Get content-type attribute from blob metadata
  * @param {string} objectId - Blob object ID
+ * @param {Object} options - Passed to getBlobAttributes
  * @returns {Promise<string|null>} Content type or null
  */
-export async function getContentType(objectId) {
-  return getBlobAttribute(objectId, CONTENT_TYPE_ATTRIBUTE);
+export async function getContentType(objectId, options = {}) {
+  return getBlobAttribute(objectId, CONTENT_TYPE_ATTRIBUTE, options);
 }
 
 /**
  * Get page title attribute from blob metadata
  * @param {string} objectId - Blob object ID
+ * @param {Object} options - Passed to getBlobAttributes
  * @returns {Promise<string|null>} Page title or null
  */
-export async function getPageTitle(objectId) {
-  const title = await getBlobAttribute(objectId, PAGE_TITLE_ATTRIBUTE);
+export async function getPageTitle(objectId, options = {}) {
+  const title = await getBlobAttribute(objectId, PAGE_TITLE_ATTRIBUTE, options);
   console.log('🔍 Fetched page title for', objectId, ':', title);
   return title;
 }
+
+/**
+ * Get the object ID of the version a page replaces
+ * @param {string} objectId - Blob object ID
+ * @param {Object} options - Passed to getBlobAttributes
+ * @returns {Promise<string|null>} Previous version object ID or null
+ */
+export async function getPreviousVersion(objectId, options = {}) {
+  return getBlobAttribute(objectId, PREVIOUS_VERSION_ATTRIBUTE, options);
+}
@@ -3,11 +3,50 @@
  * Handles querying user blobs from the Sui blockchain
  */
 
-import { SuiClient } from '@mysten/sui/client';
-import { WalrusClient } from '@mysten/walrus';
-import { getSuiRpcUrl } from '../utils/settings.js';
-import { WALRUS_BLOB_TYPE, WALRUS_NETWORK } from '../config/constants.js';
-import { getBlobMetadata, getPageTitle, getContentType, getBlobAttribute } from './blob-metadata.js';
+import {
+  CONTENT_TYPE_ATTRIBUTE,
+  PAGE_TITLE_ATTRIBUTE,
+  PREVIOUS_VERSION_ATTRIBUTE,
+} from '../config/constants.js';
+import { getBlobAttributesBatch, parseBlobMetadata } from './blob-metadata.js';
+import {
+  getCachedBlobVersion,
+  getCachedBlobsByOwner,
+  isCacheEntryCurrent,
+  cacheBlobs,
+  uncacheBlobs,
+} from './metadata-cache.js';
+import { multiGetTransactionBlocksBatched } from '../utils/rpc-batch.js';
+import { createSuiClient, createWalrusClient, getBlobType, getNetworkProfile } from './network.js';
+
+// Last epoch read per network, so cached lists can drop expired blobs before the chain answers
+const LAST_EPOCH_KEY = 'walrus_last_epoch';
+
+function loadLastEpochs() {
+  try {
+    return JSON.parse(localStorage.getItem(LAST_EPOCH_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function rememberEpoch(epoch) {
+  try {
+    localStorage.setItem(LAST_EPOCH_KEY, JSON.stringify({ ...loadLastEpochs(), [getNetworkProfile().id]: epoch }));
+  } catch (error) {
+    console.warn('Failed to save current epoch:', error);
+  }
+}
+
+// Epoch last read from the Walrus system state on the active network, or 0
+function getLastKnownEpoch() {
+  return loadLastEpochs()[getNetworkProfile().id] || 0;
+}
+
+// Blobs whose expiry epoch isn't known are kept
+function isUnexpired(entry, currentEpoch) {
+  return !entry.metadata.expiryEpoch || entry.metadata.expiryEpoch > currentEpoch;
+}
 
 /**
  * Get current Walrus epoch from system state
@@ -15,15 +54,14 @@ import { getBlobMetadata, getPageTitle, getContentType, getBlobAttribute } from
  */
 export async function getCurrentEpoch() {
   try {
-    const suiRpcUrl = getSuiRpcUrl();
-    const walrusClient = new WalrusClient({
-      network: WALRUS_NETWORK,
-      suiRpcUrl: suiRpcUrl,
-    });
+    const walrusClient = createWalrusClient();
     
     const systemState = await walrusClient.systemState();
     const currentEpoch = systemState?.committee?.epoch || 0;
     console.log('Current Walrus epoch:', currentEpoch);
+    if (currentEpoch) {
+      rememberEpoch(currentEpoch);
+    }
     return currentEpoch;
   } catch (error) {
     console.warn('Could not fetch current epoch:', error);
@@ -32,20 +70,21 @@ export async function getCurrentEpoch() {
 }
 
 /**
- * Get the sender address and transaction digest from a blob's previous transaction
+ * Get the sender address and transaction digest from a blob's previous transaction.
+ * The sender is cached per object version, so only the object is re-read on repeat calls.
  * @param {string} objectId - The blob object ID
  * @returns {Promise<{sender: string|null, txDigest: string|null}>} Sender address and transaction digest
  */
 export async function getBlobSender(objectId) {
   try {
-    const suiRpcUrl = getSuiRpcUrl();
-    const client = new SuiClient({ url: suiRpcUrl });
+    const client = createSuiClient();
     
     // Get the object to find its previous transaction
     const object = await client.getObject({
       id: objectId,
       options: {
         showPreviousTransaction: true,
+        showOwner: true,
       }
     });
     
@@ -54,6 +93,11 @@ export async function getBlobSender(objectId) {
       return { sender: null, txDigest: null };
     }
     
+    const cached = await getCachedBlobVersion(objectId, object.data.version);
+    if (cached?.sender !== undefined && cached.txDigest === previousTxDigest) {
+      return { sender: cached.sender, txDigest: cached.txDigest };
+    }
+    
     // Get the transaction details to find the sender
     const transaction = await client.getTransactionBlock({
       digest: previousTxDigest,
@@ -63,6 +107,16 @@ export async function getBlobSender(objectId) {
     });
     
     const sender = transaction.transaction?.data?.sender || null;
+    
+    await cacheBlobs([{
+      objectId,
+      version: object.data.version,
+      digest: object.data.digest,
+      owner: object.data.owner?.AddressOwner || null,
+      sender,
+      txDigest: previousTxDigest,
+    }]);
+    
     return { sender, txDigest: previousTxDigest };
   } catch (error) {
     console.error('Error getting blob sender:', error);
@@ -71,19 +125,114 @@ export async function getBlobSender(objectId) {
 }
 
 /**
- * Get user's blob objects (filtered for markdown pages)
+ * Get the address that published a blob: the sender of the transaction that
+ * created it. getBlobSender reads the blob's latest transaction instead, which
+ * is someone else's once a recipient extends or otherwise changes it.
+ * @param {string} objectId - The blob object ID
+ * @returns {Promise<string|null>} Publisher address, or null if it can't be found
+ */
+export async function getBlobPublisher(objectId) {
+  try {
+    const { data } = await createSuiClient().queryTransactionBlocks({
+      filter: { ChangedObject: objectId },
+      order: 'ascending',
+      limit: 1,
+      options: { showInput: true },
+    });
+    return data[0]?.transaction?.data?.sender || null;
+  } catch (error) {
+    console.error('Error getting blob publisher:', error);
+    return null;
+  }
+}
+
+/**
+ * Look up the sender of many transactions in batches
+ * @param {SuiClient} client - Sui client
+ * @param {Array<string>} digests - Transaction digests (duplicates are fetched once)
+ * @returns {Promise<Map<string, string>>} Sender addresses keyed by digest
+ */
+export async function getTransactionSendersBatch(client, digests) {
+  const uniqueDigests = [...new Set(digests.filter(Boolean))];
+  const transactions = await multiGetTransactionBlocksBatched(client, uniqueDigests, { showInput: true });
+  
+  const senders = new Map();
+  transactions.forEach((transaction, i) => {
+    const sender = transaction?.transaction?.data?.sender;
+    if (sender) {
+      senders.set(uniqueDigests[i], sender);
+    }
+  });
+  return senders;
+}
+
+/**
+ * Turn a cache entry into the blob shape used by page lists
+ * @param {Object} entry - Metadata cache entry with metadata, attributes and sender
+ * @returns {Object|null} Blob data, or null if it isn't a page
+ */
+function toPageBlob(entry) {
+  const { metadata, attributes = {} } = entry;
+  const contentType = attributes[CONTENT_TYPE_ATTRIBUTE] || attributes.content_type || null;
+  
+  // Pages always carry a content type; the viewer handles any of them
+  if (!contentType) {
+    return null;
+  }
+  
+  return {
+    objectId: entry.objectId,
+    version: entry.version,
+    digest: entry.digest,
+    title: attributes[PAGE_TITLE_ATTRIBUTE] || 'Untitled',
+    expiryEpoch: metadata.expiryEpoch,
+    certifiedEpoch: metadata.certifiedEpoch,
+    blobId: metadata.blobId ?? null,
+    contentType: contentType,
+    sender: entry.sender || null, // Add sender information
+    txDigest: entry.txDigest || null, // Add transaction digest
+    previousVersion: attributes[PREVIOUS_VERSION_ATTRIBUTE] || null,
+  };
+}
+
+/**
+ * Get user's blob objects from the local metadata cache only, for instant rendering.
+ * Blobs expired as of the last known epoch are left out, like getUserBlobs does.
+ * Follow up with getUserBlobs to revalidate.
+ * @param {string} address - User's wallet address
+ * @returns {Promise<Array>} Array of blob objects with metadata, as last seen
+ */
+export async function getCachedUserBlobs(address) {
+  const entries = await getCachedBlobsByOwner(address);
+  const lastEpoch = getLastKnownEpoch();
+  return entries
+    .filter(entry => entry.metadata && entry.attributes && entry.sender !== undefined)
+    .filter(entry => isUnexpired(entry, lastEpoch))
+    .map(toPageBlob)
+    .filter(Boolean);
+}
+
+/**
+ * Get user's blob objects (filtered for pages, i.e. blobs with a content type)
+ * Owned objects are listed in full; attributes and senders are only read, in
+ * batches, for blobs whose version or digest differs from the metadata cache.
  * @param {string} address - User's wallet address
  * @param {Object} options - Options for filtering
  * @param {boolean} options.includeExpired - Include expired blobs (default: false)
+ * @param {boolean} options.throwOnError - Throw if the chain can't be read, instead of
+ *   returning an empty list (default: false)
  * @returns {Promise<Array>} Array of blob objects with metadata
  */
 export async function getUserBlobs(address, options = {}) {
-  const { includeExpired = false } = options;
+  const { includeExpired = false, throwOnError = false } = options;
   
   try {
-    const suiRpcUrl = getSuiRpcUrl();
-    const client = new SuiClient({ url: suiRpcUrl });
-    const currentEpoch = await getCurrentEpoch();
+    const client = createSuiClient();
+    const [currentEpoch, cachedEntries, blobType] = await Promise.all([
+      getCurrentEpoch(),
+      getCachedBlobsByOwner(address),
+      getBlobType(),
+    ]);
     
     // Query all objects owned by user with pagination
     let allObjects = [];
@@ -94,11 +243,13 @@ export async function getUserBlobs(address, options = {}) {
       const result = await client.getOwnedObjects({
         owner: address,
         filter: {
-          StructType: WALRUS_BLOB_TYPE,
+          StructType: blobType,
         },
         options: {
           showContent: true,
           showType: true,
+          showOwner: true,
+          showPreviousTransaction: true,
         },
         limit: 50,
         cursor: cursor,
@@ -112,13 +263,10 @@ export async function getUserBlobs(address, options = {}) {
       cursor = result.nextCursor;
     }
     
-    if (allObjects.length === 0) {
-      return [];
-    }
-    
-    const blobs = [];
+    const cachedById = new Map(cachedEntries.map(entry => [entry.objectId, entry]));
+    const entries = [];
+    const staleEntries = [];
     
-    // Filter and process Walrus blob objects
     for (const item of allObjects) {
       const object = item.data;
       if (!object) continue;
@@ -129,136 +277,71 @@ export async function getUserBlobs(address, options = {}) {
         continue;
       }
       
-      // Get full object details including attributes
-      const fullObject = await client.getObject({
-        id: object.objectId,
-        options: {
-          showContent: true,
-          showType: true,
-          showOwner: true,
-        }
-      });
-      
-      // Check dynamic fields for content-type attribute
-      let isMarkdown = false;
-      let contentType = null;
-      
-      try {
-        // Get dynamic fields (where attributes are stored in a "metadata" field)
-        const dynamicFields = await client.getDynamicFields({
-          parentId: object.objectId,
-        });
-        
-        // Look for the "metadata" field
-        if (dynamicFields && dynamicFields.data) {
-          for (const field of dynamicFields.data) {
-            
-            // Decode the field name from bytes
-            let fieldName = field.name?.value;
-            if (Array.isArray(fieldName)) {
-              fieldName = String.fromCharCode(...fieldName);
-            } else {
-              fieldName = field.name?.value || field.name;
-            }
-            
-            if (fieldName === 'metadata') {
-              // Get the metadata object
-              const metadataObject = await client.getDynamicFieldObject({
-                parentId: object.objectId,
-                name: field.name,
-              });
-              
-              // Look for attributes in the metadata
-              const metadataFields = metadataObject?.data?.content?.fields?.value?.fields;
-              
-              // Check if there's a metadata map
-              if (metadataFields && metadataFields.metadata) {
-                const contents = metadataFields.metadata.fields?.contents;
-                
-                if (Array.isArray(contents)) {
-                  for (const entry of contents) {
-                    const key = entry.fields?.key || entry.key;
-                    const value = entry.fields?.value || entry.value;
-                    
-                    // Check for content-type
-                    if (key === 'content-type' || key === 'content_type') {
-                      contentType = value;
-                      if (value && (value.includes('markdown') || value.includes('text/markdown'))) {
-                        isMarkdown = true;
-                      }
-                      break;
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      } catch (dynamicFieldError) {
-        console.log('Error fetching dynamic fields:', dynamicFieldError);
-      }
-      
-      // Extract metadata
-      const metadata = await getBlobMetadata(object.objectId);
-      
-      // Get page title
-      const pageTitle = await getPageTitle(object.objectId);
-      
-      // Skip expired blobs (unless includeExpired is true)
-      if (!includeExpired && metadata.expiryEpoch && metadata.expiryEpoch <= currentEpoch) {
-        continue;
-      }
-      
-      // Skip blobs without content-type
-      if (!contentType) {
+      const cached = cachedById.get(object.objectId);
+      if (isCacheEntryCurrent(cached, object) && cached.attributes && cached.sender !== undefined) {
+        entries.push(cached);
         continue;
       }
       
-      // Skip blobs that are not markdown
-      if (!contentType.toLowerCase().includes('markdown')) {
-        continue;
-      }
-      
-      // Get sender from previous transaction
-      const { sender, txDigest } = await getBlobSender(object.objectId);
-      
-      const blobData = {
+      const entry = {
         objectId: object.objectId,
         version: object.version,
         digest: object.digest,
-        title: pageTitle || 'Untitled',
-        expiryEpoch: metadata.expiryEpoch,
-        blobId: metadata.blobId,
-        contentType: contentType,
-        sender: sender, // Add sender information
-        txDigest: txDigest, // Add transaction digest
+        owner: address,
+        metadata: parseBlobMetadata(object),
+        txDigest: object.previousTransaction || null,
       };
+      entries.push(entry);
+      staleEntries.push(entry);
+    }
+    
+    // Fetch attributes and senders only for new or changed blobs
+    if (staleEntries.length > 0) {
+      const [attributesById, sendersByDigest] = await Promise.all([
+        getBlobAttributesBatch(client, staleEntries.map(entry => entry.objectId)),
+        getTransactionSendersBatch(client, staleEntries.map(entry => entry.txDigest)),
+      ]);
       
-      blobs.push(blobData);
+      for (const entry of staleEntries) {
+        entry.attributes = attributesById.get(entry.objectId) || {};
+        entry.sender = sendersByDigest.get(entry.txDigest) || null;
+      }
     }
     
-    return blobs;
+    console.log(`Loaded ${entries.length} blobs (${staleEntries.length} refreshed, ${entries.length - staleEntries.length} from cache)`);
+    
+    // Forget blobs this address no longer owns
+    const ownedIds = new Set(entries.map(entry => entry.objectId));
+    await Promise.all([
+      cacheBlobs(staleEntries),
+      uncacheBlobs(cachedEntries.map(entry => entry.objectId).filter(id => !ownedIds.has(id))),
+    ]);
+    
+    return entries
+      .filter(entry => includeExpired || isUnexpired(entry, currentEpoch))
+      .map(toPageBlob)
+      .filter(Boolean);
     
   } catch (error) {
     console.error('Error getting user blobs:', error);
+    if (throwOnError) throw error;
     return [];
   }
 }
 
 /**
- * Get ALL user's blob objects without filtering by content-type or markdown
+ * Get ALL user's blob objects without filtering by content type
  * Used for admin purposes to manage all blobs including expired ones
  * @param {string} address - User's wallet address
  * @returns {Promise<Array>} Array of all blob objects with metadata
  */
 export async function getAllUserBlobs(address) {
   try {
-    const suiRpcUrl = getSuiRpcUrl();
-    const client = new SuiClient({ url: suiRpcUrl });
-    const currentEpoch = await getCurrentEpoch();
+    const client = createSuiClient();
+    const [currentEpoch, blobType] = await Promise.all([getCurrentEpoch(), getBlobType()]);
     
     console.log('🔍 Querying ALL blobs for address:', address);
-    console.log('   Filtering by type:', WALRUS_BLOB_TYPE);
+    console.log('   Filtering by type:', blobType);
     
     // Query for all blob objects owned by this address
     let allObjects = [];
@@ -269,7 +352,7 @@ export async function getAllUserBlobs(address) {
       const response = await client.getOwnedObjects({
         owner: address,
         filter: {
-          StructType: WALRUS_BLOB_TYPE,
+          StructType: blobType,
         },
         options: {
           showContent: true,
@@ -0,0 +1,52 @@
+/**
+ * Blob Verification Service
+ * Recomputes blob IDs from downloaded bytes so the reader doesn't have to trust the aggregator
+ */
+
+import { createWalrusClient, getNetworkCacheKey } from './network.js';
+
+// Cached client so the shard count and wasm bindings are loaded once per network and RPC endpoint
+let cachedClient = null;
+
+function getWalrusClient() {
+  const key = getNetworkCacheKey();
+
+  if (!cachedClient || cachedClient.key !== key) {
+    cachedClient = { key, walrusClient: createWalrusClient() };
+  }
+
+  return cachedClient.walrusClient;
+}
+
+/**
+ * Compute the blob ID of some content with the Walrus encoder
+ * @param {Uint8Array} data - Blob content
+ * @returns {Promise<string>} Base64url blob ID
+ */
+export async function computeBlobId(data) {
+  const { blobId } = await getWalrusClient().computeBlobMetadata({ bytes: data });
+  return blobId;
+}
+
+/**
+ * Check downloaded content against the blob ID it was requested by
+ * @param {Uint8Array} data - Blob content
+ * @param {string} expectedBlobId - Base64url blob ID from the link or the Sui object
+ * @returns {Promise<{status: 'verified'|'mismatch'|'unverified', expectedBlobId: string, actualBlobId: string|null}>}
+ *   'unverified' means the blob ID could not be computed (e.g. RPC unreachable)
+ */
+export async function verifyBlobContent(data, expectedBlobId) {
+  try {
+    const actualBlobId = await computeBlobId(data);
+    const status = actualBlobId === expectedBlobId ? 'verified' : 'mismatch';
+
+    if (status === 'mismatch') {
+      console.warn(`⚠️ Content mismatch: expected blob ${expectedBlobId}, aggregator returned ${actualBlobId}`);
+    }
+
+    return { status, expectedBlobId, actualBlobId };
+  } catch (error) {
+    console.warn('Could not verify blob content:', error);
+    return { status: 'unverified', expectedBlobId, actualBlobId: null };
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Epoch Timing Service
+ * Reads epoch length and limits from the Walrus system and staking objects
+ */
+
+import { createWalrusClient } from './network.js';
+
+/**
+ * Get the current epoch, how far ahead storage can be bought, and epoch timing
+ * @param {WalrusClient} walrusClient - Optional client to reuse its cached system state
+ * @returns {Promise<{currentEpoch: number, maxEpochsAhead: number, epochDurationMs: number, firstEpochStartMs: number}>}
+ */
+export async function getEpochTiming(walrusClient = createWalrusClient()) {
+  const [systemState, stakingState] = await Promise.all([
+    walrusClient.systemState(),
+    walrusClient.stakingState(),
+  ]);
+
+  return {
+    currentEpoch: systemState.committee.epoch,
+    // The future accounting ring buffer is sized to max_epochs_ahead
+    maxEpochsAhead: systemState.future_accounting.length,
+    epochDurationMs: Number(stakingState.epoch_duration),
+    firstEpochStartMs: Number(stakingState.first_epoch_start),
+  };
+}
+
+/**
+ * Estimate when an epoch starts (and so when storage ending at it expires)
+ * @param {number} epoch - Epoch number
+ * @param {Object} timing - Result of getEpochTiming
+ * @returns {Date} Approximate start of the epoch
+ */
+export function estimateEpochStart(epoch, timing) {
+  const { currentEpoch, epochDurationMs, firstEpochStartMs } = timing;
+  const estimate = firstEpochStartMs + (epoch - 1) * epochDurationMs;
+
+  // Fall back to counting from now if the staking data looks inconsistent
+  if (!Number.isFinite(estimate) || estimate <= 0) {
+    return new Date(Date.now() + (epoch - currentEpoch) * epochDurationMs);
+  }
+
+  return new Date(estimate);
+}
+
+/**
+ * Format an estimated expiry date for display
+ * @param {Date} date - Estimated date
+ * @returns {string} Human readable date
+ */
+export function formatEpochDate(date) {
+  return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
@@ -0,0 +1,97 @@
+/**
+ * Metadata Cache Service
+ * Persists blob metadata, attributes and senders in IndexedDB.
+ * An entry describes one object version: a Walrus blob's version changes
+ * whenever its storage, attributes or owner change, so data cached for a
+ * version never goes stale.
+ */
+
+import { getRecord, getAllByIndex, putRecords, deleteRecords } from '../utils/idb.js';
+
+const STORE_NAME = 'metadata';
+
+/**
+ * Get the cached entry for a blob, whatever version it was read at
+ * @param {string} objectId - Blob object ID
+ * @returns {Promise<Object|null>} Cache entry or null
+ */
+export async function getCachedBlob(objectId) {
+  try {
+    return (await getRecord(STORE_NAME, objectId)) || null;
+  } catch (error) {
+    console.warn('Could not read metadata cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the cached entry for a blob only if it was read at the given version
+ * @param {string} objectId - Blob object ID
+ * @param {string} version - Object version
+ * @returns {Promise<Object|null>} Cache entry or null
+ */
+export async function getCachedBlobVersion(objectId, version) {
+  const entry = await getCachedBlob(objectId);
+  return entry && String(entry.version) === String(version) ? entry : null;
+}
+
+/**
+ * Get every cached entry for blobs last seen owned by an address
+ * @param {string} owner - Owner address
+ * @returns {Promise<Array<Object>>} Cache entries
+ */
+export async function getCachedBlobsByOwner(owner) {
+  try {
+    return await getAllByIndex(STORE_NAME, 'owner', owner);
+  } catch (error) {
+    console.warn('Could not read metadata cache:', error);
+    return [];
+  }
+}
+
+/**
+ * Check whether a cache entry still matches an object reference from the RPC
+ * @param {Object|null} entry - Cache entry
+ * @param {{version: string, digest: string}} ref - Current object version and digest
+ * @returns {boolean} True if the entry describes the same object version
+ */
+export function isCacheEntryCurrent(entry, ref) {
+  return !!entry && String(entry.version) === String(ref.version) && entry.digest === ref.digest;
+}
+
+/**
+ * Store entries, merging into existing entries for the same version and
+ * replacing entries read at any other version
+ * @param {Array<Object>} entries - Entries with objectId, version and digest
+ * @returns {Promise<void>}
+ */
+export async function cacheBlobs(entries) {
+  if (entries.length === 0) return;
+
+  try {
+    const existing = await Promise.all(entries.map(entry => getCachedBlob(entry.objectId)));
+    const merged = entries.map((entry, i) => ({
+      ...(isCacheEntryCurrent(existing[i], entry) ? existing[i] : {}),
+      ...entry,
+      cachedAt: Date.now(),
+    }));
+    await putRecords(STORE_NAME, merged);
+  } catch (error) {
+    console.warn('Could not update metadata cache:', error);
+  }
+}
+
+/**
+ * Remove entries, e.g. for blobs that were deleted or transferred away
+ * @param {Array<string>} objectIds - Blob object IDs
+ * @returns {Promise<void>}
+ */
+export async function uncacheBlobs(objectIds) {
+  if (objectIds.length === 0) return;
+
+  try {
+    await deleteRecords(STORE_NAME, objectIds);
+  } catch (error) {
+    console.warn('Could not update metadata cache:', error);
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Network Service
+ * Exposes the active network profile, merged with the user's settings, to the
+ * rest of the app: clients, wallet chain, Walrus client options, Move types and explorer links
+ */
+
+import { SuiClient } from '@mysten/sui/client';
+import { WalrusClient } from '@mysten/walrus';
+import { normalizeStructTag, parseStructTag } from '@mysten/sui/utils';
+import { getNetworkProfileById, needsDeploymentIds } from '../config/networks.js';
+import { getActiveNetwork, getSettings } from '../utils/settings.js';
+import { createMockSuiClient } from '../mock/mock-chain.js';
+import { createMockWalrusClient } from '../mock/mock-walrus.js';
+
+// Move types read from chain, keyed by network and Walrus deployment
+const resolvedTypes = new Map();
+
+/**
+ * Get the active network profile with the user's endpoints applied
+ * @returns {Object} Network profile plus suiRpc, aggregators, uploadRelay and packageConfig
+ */
+export function getNetworkProfile() {
+  const settings = getSettings();
+  const profile = getNetworkProfileById(getActiveNetwork());
+  // Only networks without a public Walrus deployment take configured IDs
+  const packageConfig = needsDeploymentIds(profile) && settings.systemObjectId && settings.stakingPoolId
+    ? { systemObjectId: settings.systemObjectId, stakingPoolId: settings.stakingPoolId }
+    : null;
+
+  return {
+    ...profile,
+    suiRpc: settings.suiRpc,
+    aggregators: settings.aggregators,
+    uploadRelay: settings.uploadRelay,
+    packageConfig,
+  };
+}
+
+/**
+ * Get the Wallet Standard chain of the active network
+ * @returns {string} Chain identifier, e.g. 'sui:testnet'
+ */
+export function getSuiChain() {
+  return getNetworkProfile().chain;
+}
+
+/**
+ * Get the network options for a WalrusClient on the active network.
+ * Spread into the constructor alongside suiRpcUrl or suiClient.
+ * @returns {{network: string}|{packageConfig: Object}} Walrus client network options
+ * @throws {Error} If a network without a public Walrus deployment has no IDs configured
+ */
+export function getWalrusClientOptions() {
+  const profile = getNetworkProfile();
+
+  if (profile.packageConfig) {
+    return { packageConfig: profile.packageConfig };
+  }
+
+  if (profile.walrusNetwork) {
+    return { network: profile.walrusNetwork };
+  }
+
+  throw new Error(`Set the Walrus system object and staking pool IDs for ${profile.label} in Network Settings`);
+}
+
+/**
+ * Key that changes whenever the network or its configured endpoints do,
+ * for caching clients across calls
+ * @returns {string} Cache key
+ */
+export function getNetworkCacheKey() {
+  const { id, suiRpc, uploadRelay, packageConfig } = getNetworkProfile();
+  return JSON.stringify({ id, suiRpc, uploadRelay, packageConfig });
+}
+
+/**
+ * Create a SuiClient for the active network
+ * @returns {SuiClient} Client for the configured RPC, or the in-browser mock chain
+ */
+export function createSuiClient() {
+  const profile = getNetworkProfile();
+  return profile.mock ? createMockSuiClient() : new SuiClient({ url: profile.suiRpc });
+}
+
+/**
+ * Create a WalrusClient for the active network
+ * @param {Object} options - Extra constructor options, e.g. uploadRelay
+ * @returns {WalrusClient} Client for the configured deployment, or the in-browser mock
+ * @throws {Error} If a network without a public Walrus deployment has no IDs configured
+ */
+export function createWalrusClient(options = {}) {
+  const profile = getNetworkProfile();
+  if (profile.mock) {
+    return createMockWalrusClient();
+  }
+
+  return new WalrusClient({
+    ...getWalrusClientOptions(),
+    suiRpcUrl: profile.suiRpc,
+    ...options,
+  });
+}
+
+async function resolveTypes(profile) {
+  const key = `${profile.id}:${profile.packageConfig?.systemObjectId || ''}`;
+
+  if (!resolvedTypes.has(key)) {
+    const promise = (async () => {
+      const suiClient = new SuiClient({ url: profile.suiRpc });
+      const walrusClient = new WalrusClient({ ...getWalrusClientOptions(), suiClient });
+
+      const blobType = await walrusClient.getBlobType();
+      const packageId = parseStructTag(blobType).address;
+
+      // WAL is the coin staked with stake_with_pool(staking, Coin<WAL>, ...)
+      const stakeWithPool = await suiClient.getNormalizedMoveFunction({
+        package: packageId,
+        module: 'staking',
+        function: 'stake_with_pool',
+      });
+      const coinParam = stakeWithPool.parameters[1];
+      const walStruct = coinParam?.Struct?.typeArguments?.[0]?.Struct;
+      if (!walStruct) {
+        throw new Error('Could not determine the WAL coin type for this network');
+      }
+
+      const walCoinType = normalizeStructTag(`${walStruct.address}::${walStruct.module}::${walStruct.name}`);
+      console.log(`🔎 Resolved ${profile.label} types:`, { blobType, walCoinType });
+      return { blobType, walCoinType };
+    })();
+
+    // Forget failures so the next call retries
+    promise.catch(() => resolvedTypes.delete(key));
+    resolvedTypes.set(key, promise);
+  }
+
+  return resolvedTypes.get(key);
+}
+
+/**
+ * Get the Walrus Blob Move type on the active network
+ * @returns {Promise<string>} Blob struct type
+ */
+export async function getBlobType() {
+  const profile = getNetworkProfile();
+  return profile.blobType || (await resolveTypes(profile)).blobType;
+}
+
+/**
+ * Get the WAL coin type on the active network
+ * @returns {Promise<string>} WAL coin type
+ */
+export async function getWalCoinType() {
+  const profile = getNetworkProfile();
+  return profile.walCoinType || (await resolveTypes(profile)).walCoinType;
+}
+
+/**
+ * Build an explorer link for the active network
+ * @param {'account'|'object'|'txblock'} kind - What the ID refers to
+ * @param {string} id - Address, object ID or transaction digest
+ * @returns {string|null} Explorer URL, or null if the network has no explorer
+ */
+export function getExplorerUrl(kind, id) {
+  const { explorer } = getNetworkProfile();
+  return explorer ? `${explorer}/${kind}/${id}` : null;
+}
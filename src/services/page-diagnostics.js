@@ -0,0 +1,159 @@
+/**
+ * Page Diagnostics Service
+ * Works out why a page couldn't be loaded, from the chain and the aggregator's
+ * answer, and finds any copy of its content saved in this browser
+ */
+
+import { blobIdFromInt } from '@mysten/walrus';
+import { isValidSuiObjectId, normalizeSuiObjectId, normalizeStructTag } from '@mysten/sui/utils';
+import { createSuiClient, getBlobType, getExplorerUrl } from './network.js';
+import { parseBlobMetadata } from './blob-metadata.js';
+import { getCachedBlob } from './metadata-cache.js';
+import { getCachedBlobContent } from './blob-cache.js';
+import { getCurrentEpoch } from './blob-query.js';
+import { getPendingUploads } from './upload-store.js';
+import { CONTENT_TYPE_ATTRIBUTE } from '../config/constants.js';
+
+// Blob IDs are 32 bytes, base64url encoded without padding
+const BLOB_ID_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+function toBlobId(value) {
+  try {
+    return value ? blobIdFromInt(BigInt(value)) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Look for content saved in this browser: blobs read before, or uploads that never finished
+ * @param {Object} ids
+ * @param {string|null} ids.objectId - Blob object ID
+ * @param {string|null} ids.blobId - Base64url blob ID
+ * @returns {Promise<{data: Uint8Array, contentType: string|null}|null>} Content and its content type
+ *   attribute, if known, or null if none is saved
+ */
+export async function findCachedCopy({ objectId, blobId }) {
+  // Deleted objects can't be read from the chain, but their blob ID may have been cached
+  const entry = objectId ? await getCachedBlob(objectId) : null;
+  const resolvedBlobId = blobId || toBlobId(entry?.metadata?.blobId);
+
+  if (resolvedBlobId) {
+    const data = await getCachedBlobContent(resolvedBlobId);
+    if (data) {
+      return { data, contentType: entry?.attributes?.[CONTENT_TYPE_ATTRIBUTE] || null };
+    }
+  }
+
+  const uploads = await getPendingUploads();
+  const upload = uploads.find(record => (objectId && record.blobObjectId === objectId)
+    || (resolvedBlobId && record.blobId === resolvedBlobId));
+  return upload?.data ? { data: upload.data, contentType: upload.attributes?.[CONTENT_TYPE_ATTRIBUTE] || null } : null;
+}
+
+// Read the blob object, telling deleted objects apart from ones that never existed
+async function inspectBlobObject(objectId) {
+  let object;
+  try {
+    object = await createSuiClient().getObject({
+      id: objectId,
+      options: { showContent: true, showType: true, showOwner: true },
+    });
+  } catch (error) {
+    console.warn('Could not look up page object:', error);
+    return null;
+  }
+
+  if (object.error?.code === 'deleted') {
+    return { reason: 'deleted' };
+  }
+
+  if (!object.data) {
+    return { reason: 'not-found' };
+  }
+
+  if (normalizeStructTag(object.data.type) !== normalizeStructTag(await getBlobType())) {
+    return { reason: 'not-a-blob' };
+  }
+
+  const metadata = parseBlobMetadata(object.data);
+  const details = {
+    blobId: toBlobId(metadata.blobId),
+    expiryEpoch: metadata.expiryEpoch ? Number(metadata.expiryEpoch) : null,
+    certifiedEpoch: metadata.certifiedEpoch,
+  };
+
+  if (!metadata.certifiedEpoch) {
+    return { ...details, reason: 'uncertified' };
+  }
+
+  // Storage ends when its end epoch starts
+  const currentEpoch = await getCurrentEpoch();
+  if (currentEpoch && details.expiryEpoch && details.expiryEpoch <= currentEpoch) {
+    return { ...details, currentEpoch, reason: 'expired' };
+  }
+
+  return { ...details, currentEpoch: currentEpoch || null };
+}
+
+/**
+ * Diagnose a page that failed to load
+ * @param {string} id - Blob object ID (0x...) or blob ID from the URL
+ * @param {Error} error - Error thrown while fetching the content
+ * @returns {Promise<Object>} Diagnosis with:
+ *   - reason: 'invalid-id', 'not-found', 'not-a-blob', 'deleted', 'expired', 'uncertified',
+ *     'rpc-unreachable', 'aggregator-unreachable' or 'unavailable'
+ *   - objectId, blobId, expiryEpoch, certifiedEpoch, currentEpoch: what is known, or null
+ *   - explorerUrl: link to the object on the explorer, or null
+ *   - cachedCopy: content saved in this browser and its content type, or null
+ */
+export async function diagnosePageError(id, error) {
+  const diagnosis = {
+    reason: null,
+    objectId: null,
+    blobId: null,
+    expiryEpoch: null,
+    certifiedEpoch: null,
+    currentEpoch: null,
+    explorerUrl: null,
+    cachedCopy: null,
+  };
+  let chainLookupFailed = false;
+
+  if (id.startsWith('0x')) {
+    if (!isValidSuiObjectId(normalizeSuiObjectId(id))) {
+      return { ...diagnosis, reason: 'invalid-id' };
+    }
+
+    diagnosis.objectId = id;
+    diagnosis.explorerUrl = getExplorerUrl('object', id);
+    const inspection = await inspectBlobObject(id);
+    chainLookupFailed = !inspection;
+    Object.assign(diagnosis, inspection);
+  } else if (BLOB_ID_PATTERN.test(id)) {
+    diagnosis.blobId = id;
+  } else {
+    return { ...diagnosis, reason: 'invalid-id' };
+  }
+
+  // The chain shows nothing wrong, so it's down to the aggregators, unless the chain
+  // couldn't be read at all: object IDs are resolved there before any aggregator is asked
+  if (!diagnosis.reason) {
+    if (chainLookupFailed && !error?.status) {
+      diagnosis.reason = 'rpc-unreachable';
+    } else if (!error?.status) {
+      diagnosis.reason = 'aggregator-unreachable';
+    } else if (diagnosis.objectId) {
+      diagnosis.reason = 'unavailable';
+    } else {
+      diagnosis.reason = 'not-found';
+    }
+  }
+
+  if (diagnosis.reason !== 'not-a-blob') {
+    diagnosis.cachedCopy = await findCachedCopy(diagnosis);
+  }
+
+  console.log('🩺 Page diagnosis:', diagnosis.reason, id);
+  return diagnosis;
+}
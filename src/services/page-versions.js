@@ -0,0 +1,83 @@
+/**
+ * Page Versions Service
+ * Resolves the version chain of a page through the x-previous-version attribute
+ */
+
+import { getPageTitle, getPreviousVersion } from './blob-metadata.js';
+import { getUserBlobs } from './blob-query.js';
+
+/**
+ * Upper bound on how many links are followed in either direction,
+ * guarding against cycles created by hand-crafted attributes
+ * @type {number}
+ */
+const MAX_CHAIN_LENGTH = 50;
+
+/**
+ * Walk back through older versions of a page
+ * @param {string} objectId - Blob object ID to start from
+ * @returns {Promise<Array<{objectId: string, title: string}>>} Older versions, newest first
+ */
+export async function getOlderVersions(objectId) {
+  const versions = [];
+  const seen = new Set([objectId]);
+  let previousId = await getPreviousVersion(objectId);
+
+  while (previousId && !seen.has(previousId) && versions.length < MAX_CHAIN_LENGTH) {
+    seen.add(previousId);
+    const title = await getPageTitle(previousId);
+    versions.push({ objectId: previousId, title: title || 'Untitled' });
+    previousId = await getPreviousVersion(previousId);
+  }
+
+  return versions;
+}
+
+/**
+ * Find newer versions of a page by scanning the owner's blobs
+ * @param {string} objectId - Blob object ID to start from
+ * @param {string} owner - Address that owns the page
+ * @returns {Promise<Array<{objectId: string, title: string}>>} Newer versions, oldest first
+ */
+export async function getNewerVersions(objectId, owner) {
+  const blobs = await getUserBlobs(owner);
+
+  // Index owned blobs by the version they replace
+  const successors = new Map();
+  for (const blob of blobs) {
+    if (blob.previousVersion) {
+      successors.set(blob.previousVersion, blob);
+    }
+  }
+
+  const versions = [];
+  const seen = new Set([objectId]);
+  let next = successors.get(objectId);
+
+  while (next && !seen.has(next.objectId) && versions.length < MAX_CHAIN_LENGTH) {
+    seen.add(next.objectId);
+    versions.push({ objectId: next.objectId, title: next.title || 'Untitled' });
+    next = successors.get(next.objectId);
+  }
+
+  return versions;
+}
+
+/**
+ * Get the full version history around a page
+ * @param {string} objectId - Blob object ID of the page being viewed
+ * @param {string|null} owner - Address that owns the page (newer versions are skipped without it)
+ * @returns {Promise<{older: Array, newer: Array, latest: string|null}>} Version history
+ */
+export async function getVersionHistory(objectId, owner) {
+  const [older, newer] = await Promise.all([
+    getOlderVersions(objectId),
+    owner ? getNewerVersions(objectId, owner) : Promise.resolve([]),
+  ]);
+
+  return {
+    older,
+    newer,
+    latest: newer.length > 0 ? newer[newer.length - 1].objectId : null,
+  };
+}
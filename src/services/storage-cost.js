@@ -3,58 +3,89 @@
  * Handles cost estimation for Walrus storage operations
  */
 
-import { SuiClient } from '@mysten/sui/client';
-import { SUI_RPC_URL, MAX_EPOCHS } from '../config/constants.js';
-import { getSuiRpcUrl } from '../utils/settings.js';
+import {
+  MAX_EPOCHS,
+  UPLOAD_RELAY_MAX_TIP,
+  PUBLISH_GAS_UNITS_ESTIMATE,
+  PUBLISH_STORAGE_FEE_ESTIMATE,
+} from '../config/constants.js';
+import { getUploadRelayUrl } from '../utils/settings.js';
+import { createSuiClient, createWalrusClient, getNetworkCacheKey } from './network.js';
 
 /**
- * Calculate storage cost for a blob
- * @param {number} sizeBytes - Size of the content in bytes
- * @param {number} epochs - Number of epochs to store (defaults to MAX_EPOCHS)
- * @returns {Promise<{costWAL: number, costSUI: number, epochs: number}>} Cost estimate
+ * Number of smallest units (FROST / MIST) in one WAL or SUI
+ * @type {number}
  */
-export async function calculateStorageCost(sizeBytes, epochs = MAX_EPOCHS) {
-  try {
-    const suiRpcUrl = getSuiRpcUrl();
-    const client = new SuiClient({ url: suiRpcUrl });
-    
-    // TODO: Query Walrus system object for current pricing
-    // Storage cost = size * epochs * price_per_unit
-    
-    // Placeholder: approximately 0.036 WAL per 1KB per 50 epochs
-    const costPerKB = 0.036;
-    const sizeKB = sizeBytes / 1024;
-    const estimatedCost = sizeKB * costPerKB * (epochs / 50);
-    
-    return {
-      costWAL: estimatedCost,
-      costSUI: estimatedCost * 1000000, // Rough conversion, need actual rate
-      epochs,
-    };
-    
-  } catch (error) {
-    console.error('Error calculating cost:', error);
-    return {
-      costWAL: 0,
-      costSUI: 0,
-      epochs,
+const UNITS_PER_TOKEN = 1_000_000_000;
+
+// Cached client, rebuilt whenever the network or configured endpoints change
+let cachedClient = null;
+
+function getWalrusClient() {
+  const key = getNetworkCacheKey();
+
+  if (!cachedClient || cachedClient.key !== key) {
+    cachedClient = {
+      key,
+      suiClient: createSuiClient(),
+      walrusClient: createWalrusClient({
+        uploadRelay: {
+          host: getUploadRelayUrl(),
+          sendTip: {
+            max: UPLOAD_RELAY_MAX_TIP,
+          },
+        },
+      }),
     };
   }
+
+  return cachedClient;
 }
 
 /**
- * Get cost per KB for storage (placeholder)
- * @returns {number} Cost in WAL per KB per 50 epochs
+ * Convert an amount in FROST or MIST to whole WAL or SUI
+ * @param {bigint} amount - Amount in the smallest unit
+ * @returns {number} Amount in whole tokens
  */
-export function getCostPerKB() {
-  return 0.036;
+export function toTokenAmount(amount) {
+  return Number(amount) / UNITS_PER_TOKEN;
 }
 
 /**
- * Convert storage cost from WAL to SUI (rough estimate)
- * @param {number} costWAL - Cost in WAL
- * @returns {number} Cost in SUI
+ * Calculate storage cost for a blob from the live Walrus system state
+ * @param {number} sizeBytes - Size of the content in bytes
+ * @param {number} epochs - Number of epochs to store (defaults to MAX_EPOCHS)
+ * @returns {Promise<Object>} Cost breakdown; token amounts are bigint in FROST (WAL) or MIST (SUI),
+ *   with `costWAL` and `costSUI` totals as plain numbers for display
  */
-export function convertWALToSUI(costWAL) {
-  return costWAL * 1000000; // Placeholder conversion rate
+export async function calculateStorageCost(sizeBytes, epochs = MAX_EPOCHS) {
+  const { suiClient, walrusClient } = getWalrusClient();
+
+  // The SDK prices storage the same way registerBlob charges for it
+  const [{ storageCost, writeCost }, referenceGasPrice] = await Promise.all([
+    walrusClient.storageCost(sizeBytes, epochs),
+    suiClient.getReferenceGasPrice(),
+  ]);
+
+  // The relay publishes its tip policy; a relay without one charges nothing
+  let relayTip = 0n;
+  try {
+    relayTip = BigInt(await walrusClient.calculateUploadRelayTip({ size: sizeBytes }));
+  } catch (error) {
+    console.warn('Could not read upload relay tip config:', error);
+  }
+
+  // Registration and certification are two transactions
+  const gasEstimate = 2n * (BigInt(referenceGasPrice) * BigInt(PUBLISH_GAS_UNITS_ESTIMATE) + BigInt(PUBLISH_STORAGE_FEE_ESTIMATE));
+
+  return {
+    sizeBytes,
+    epochs,
+    storageCost,
+    writeCost,
+    relayTip,
+    gasEstimate,
+    costWAL: toTokenAmount(storageCost + writeCost),
+    costSUI: toTokenAmount(relayTip + gasEstimate),
+  };
 }
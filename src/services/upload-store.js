@@ -0,0 +1,88 @@
+/**
+ * Upload Store Service
+ * Persists in-progress upload flows in IndexedDB so they can be resumed
+ */
+
+import { blobIdToInt } from '@mysten/walrus';
+import { toHex } from '@mysten/sui/utils';
+import { getAllRecords, putRecord, deleteRecord } from '../utils/idb.js';
+import { getActiveNetwork } from '../utils/settings.js';
+import { DEFAULT_NETWORK } from '../config/networks.js';
+
+const STORE_NAME = 'uploads';
+
+// Records move through these steps and are removed once certified:
+// - encoded: metadata computed, registration not yet confirmed
+// - registered: blob object exists on chain, data not yet accepted by the relay
+// - uploaded: certificate received, certification not yet confirmed
+
+/**
+ * Build the ID an upload attempt is saved under. The same content, and so the
+ * same blob ID, can be uploaded more than once and on more than one network;
+ * the relay nonce is random per attempt.
+ * @param {Object} upload
+ * @param {string} upload.network - Network ID
+ * @param {string} upload.blobId - Base64url blob ID
+ * @param {Uint8Array} upload.nonce - Upload relay nonce from computeBlobMetadata
+ * @returns {string} Record ID
+ */
+export function createUploadId({ network, blobId, nonce }) {
+  return `${network}:${blobId}:${toHex(nonce)}`;
+}
+
+/**
+ * Save or update an upload record
+ * @param {Object} record - Upload record keyed by id (see createUploadId)
+ * @returns {Promise<Object>} The saved record
+ */
+export async function saveUpload(record) {
+  const saved = { ...record, updatedAt: Date.now() };
+  await putRecord(STORE_NAME, saved);
+  return saved;
+}
+
+/**
+ * Remove an upload record once it's certified or abandoned
+ * @param {string} id - Record ID
+ * @returns {Promise<void>}
+ */
+export async function removeUpload(id) {
+  await deleteRecord(STORE_NAME, id);
+}
+
+/**
+ * List every unfinished upload saved in this browser for the active network
+ * @returns {Promise<Array<Object>>} Upload records (empty if IndexedDB is unavailable)
+ */
+export async function getPendingUploads() {
+  try {
+    // Records from before network profiles were all made on the default network
+    const network = getActiveNetwork();
+    const records = await getAllRecords(STORE_NAME);
+    return records.filter(record => (record.network || DEFAULT_NETWORK) === network);
+  } catch (error) {
+    console.warn('Could not read pending uploads:', error);
+    return [];
+  }
+}
+
+/**
+ * Find the upload record matching an on-chain blob.
+ * Matches on object ID once known, otherwise on the blob ID, which on chain is a u256.
+ * @param {Array<Object>} records - Result of getPendingUploads
+ * @param {Object} blob - Blob with objectId and on-chain blobId
+ * @returns {Object|null} Matching upload record or null
+ */
+export function findUploadForBlob(records, blob) {
+  const byObjectId = records.find(record => record.blobObjectId === blob.objectId);
+  if (byObjectId) return byObjectId;
+
+  return records.find((record) => {
+    if (record.blobObjectId) return false;
+    try {
+      return blobIdToInt(record.blobId).toString() === String(blob.blobId);
+    } catch {
+      return false;
+    }
+  }) || null;
+}
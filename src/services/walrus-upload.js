@@ -3,16 +3,21 @@
  * Handles blob upload operations to Walrus storage
  */
 
-import { SuiClient } from '@mysten/sui/client';
-import { WalrusClient } from '@mysten/walrus';
+import { Transaction } from '@mysten/sui/transactions';
 import { getWallet, getAccount } from '../utils/wallet.js';
-import { getUploadRelayUrl, getSuiRpcUrl } from '../utils/settings.js';
+import { executeWalletTransaction } from '../utils/wallet-features.js';
+import { getUploadRelayUrl, getSuiRpcUrl, getActiveNetwork } from '../utils/settings.js';
+import { extendBlobsBatch } from '../utils/batch-operations.js';
+import { saveUpload, removeUpload, getPendingUploads, findUploadForBlob, createUploadId } from './upload-store.js';
+import { getSuiChain, createSuiClient, createWalrusClient } from './network.js';
 import { 
   MAX_EPOCHS, 
+  DEFAULT_EXTENSION_EPOCHS,
   DEFAULT_CONTENT_TYPE,
   PAGE_TITLE_ATTRIBUTE,
   CONTENT_TYPE_ATTRIBUTE,
-  WALRUS_NETWORK,
+  PREVIOUS_VERSION_ATTRIBUTE,
+  UPLOAD_RELAY_MAX_TIP,
 } from '../config/constants.js';
 
 /**
@@ -30,32 +35,13 @@ function createSigner(wallet, account) {
       return account.publicKey;
     },
     async signAndExecuteTransaction({ transaction, client }) {
-      // Set sender if not already set
-      transaction.setSenderIfNotSet(account.address);
-      
-      // Build the transaction to get bytes
-      const bytes = await transaction.build({ client });
-      
-      // Sign the transaction bytes using the wallet
-      const { signature } = await wallet.features['sui:signTransaction'].signTransaction({
-        transaction: {
-          toJSON: async () => {
-            // Return the transaction JSON for the wallet
-            return await transaction.toJSON({ client, supportedIntents: [] });
-          }
-        },
+      // Signs through whichever feature the wallet supports best
+      const result = await executeWalletTransaction({
+        wallet,
         account,
-        chain: 'sui:mainnet',
-      });
-      
-      // Execute the signed transaction
-      const result = await client.executeTransactionBlock({
-        transactionBlock: bytes,
-        signature,
-        options: {
-          showEffects: true,
-          showObjectChanges: true,
-        },
+        chain: getSuiChain(),
+        transaction,
+        client,
       });
       
       // Transform effects.created and effects.mutated to changedObjects format
@@ -91,14 +77,229 @@ function createSigner(wallet, account) {
   };
 }
 
+/**
+ * Labels for each step of an upload, shown in the progress overlay
+ * @type {Object<string, string>}
+ */
+const UPLOAD_STEP_LABELS = {
+  encode: 'Encoding content',
+  register: 'Registering blob (approve in wallet)',
+  upload: 'Uploading to storage nodes',
+  certify: 'Certifying blob (approve in wallet)',
+  transfer: 'Sending to recipient (approve in wallet)',
+};
+
+function getUploadSteps(record) {
+  const ids = ['encode', 'register', 'upload', 'certify'];
+  if (needsTransfer(record)) {
+    ids.push('transfer');
+  }
+  return ids.map(id => ({ id, label: UPLOAD_STEP_LABELS[id] }));
+}
+
+function needsTransfer(record) {
+  return !!record.options.recipient && record.options.recipient !== record.owner;
+}
+
+function createUploadClients() {
+  const suiRpcUrl = getSuiRpcUrl();
+  const uploadRelayUrl = getUploadRelayUrl();
+  
+  console.log('Using upload relay:', uploadRelayUrl);
+  console.log('Using Sui RPC:', suiRpcUrl);
+  
+  return {
+    suiClient: createSuiClient(),
+    walrusClient: createWalrusClient({
+      uploadRelay: {
+        host: uploadRelayUrl,
+        sendTip: {
+          max: UPLOAD_RELAY_MAX_TIP,
+        },
+      },
+    }),
+  };
+}
+
+// Saving progress is best effort: an upload shouldn't fail because IndexedDB is unavailable
+async function persistUpload(record) {
+  try {
+    return await saveUpload(record);
+  } catch (error) {
+    console.warn('Could not save upload progress:', error);
+    return record;
+  }
+}
+
+async function forgetUpload(record) {
+  try {
+    await removeUpload(record.id);
+  } catch (error) {
+    console.warn('Could not clear saved upload:', error);
+  }
+}
+
+async function findCreatedBlobObjectId(suiClient, walrusClient, digest) {
+  const blobType = await walrusClient.getBlobType();
+  const transaction = await suiClient.waitForTransaction({
+    digest,
+    options: { showObjectChanges: true },
+  });
+  
+  const created = transaction.objectChanges?.find(change => 
+    change.type === 'created' && change.objectType === blobType
+  );
+  
+  if (!created) {
+    throw new Error(`Blob object not found in registration transaction ${digest}`);
+  }
+  
+  return created.objectId;
+}
+
+async function executeOrThrow(signer, transaction, suiClient, action) {
+  const result = await signer.signAndExecuteTransaction({ transaction, client: suiClient });
+  if (result.effects?.status?.status !== 'success') {
+    throw new Error(`Failed to ${action}: ${result.effects?.status?.error || 'transaction failed'}`);
+  }
+  return result;
+}
+
+/**
+ * Run the remaining register, upload and certify steps of an upload record.
+ * Mirrors WalrusClient.writeBlobFlow, but saves each step's output so a closed
+ * tab or failed relay request can pick up where it stopped.
+ */
+async function runUploadSteps(record, { suiClient, walrusClient, signer, onProgress }) {
+  const steps = getUploadSteps(record);
+  const report = (current) => onProgress?.({ steps, current });
+  const { deletable, epochs, recipient } = record.options;
+  
+  if (record.step === 'encoded' && !record.registerDigest) {
+    report('register');
+    
+    const transaction = new Transaction();
+    transaction.setSenderIfNotSet(record.owner);
+    transaction.add(walrusClient.sendUploadRelayTip({
+      size: record.size,
+      blobDigest: record.blobDigest,
+      nonce: record.nonce,
+    }));
+    transaction.transferObjects([
+      walrusClient.registerBlob({
+        size: record.size,
+        epochs,
+        blobId: record.blobId,
+        rootHash: record.rootHash,
+        deletable,
+        attributes: record.attributes,
+      }),
+    ], record.owner);
+    
+    let result;
+    try {
+      result = await executeOrThrow(signer, transaction, suiClient, 'register blob');
+    } catch (error) {
+      // Nothing was paid for, so there is nothing to resume
+      await forgetUpload(record);
+      throw error;
+    }
+    
+    record = await persistUpload({ ...record, registerDigest: result.digest });
+  }
+  
+  // From here on the blob is paid for, so failures can be resumed later
+  try {
+    if (record.step === 'encoded') {
+      const blobObjectId = await findCreatedBlobObjectId(suiClient, walrusClient, record.registerDigest);
+      console.log('📝 Blob registered:', blobObjectId);
+      record = await persistUpload({ ...record, step: 'registered', blobObjectId });
+    }
+    
+    if (record.step === 'registered') {
+      report('upload');
+      
+      const { certificate } = await walrusClient.writeBlobToUploadRelay({
+        blobId: record.blobId,
+        blob: record.data,
+        nonce: record.nonce,
+        txDigest: record.registerDigest,
+        blobObjectId: record.blobObjectId,
+        deletable,
+        encodingType: record.encodingType,
+      });
+      
+      console.log('📡 Upload relay returned certificate');
+      record = await persistUpload({ ...record, step: 'uploaded', certificate });
+    }
+    
+    report('certify');
+    
+    const certifyTx = walrusClient.certifyBlobTransaction({
+      certificate: record.certificate,
+      blobId: record.blobId,
+      blobObjectId: record.blobObjectId,
+      deletable,
+    });
+    await executeOrThrow(signer, certifyTx, suiClient, 'certify blob');
+    await forgetUpload(record);
+  } catch (error) {
+    throw new Error(`${error.message}. The blob is registered; resume certification from My Pages.`);
+  }
+  
+  const objectId = record.blobObjectId;
+  console.log('✅ Blob uploaded successfully!');
+  console.log('   Object ID:', objectId);
+  console.log('   Blob ID:', record.blobId);
+  console.log('   Signer address:', record.owner);
+  
+  // Hand the certified blob over to the recipient; certification needs the
+  // signer to own the blob, so this can't happen at registration time
+  if (needsTransfer(record)) {
+    report('transfer');
+    console.log('📨 Transferring blob to recipient:', recipient);
+    const transferTx = new Transaction();
+    transferTx.transferObjects([transferTx.object(objectId)], transferTx.pure.address(recipient));
+    try {
+      await executeOrThrow(signer, transferTx, suiClient, 'transfer blob');
+    } catch (error) {
+      throw new Error(`Blob ${objectId} was published but the transfer to ${recipient} failed: ${error.message}`);
+    }
+  }
+  
+  const object = await suiClient.getObject({ id: objectId, options: { showContent: true } });
+  
+  return {
+    objectId,
+    blobId: record.blobId,
+    expiryEpoch: object.data?.content?.fields?.storage?.fields?.end_epoch ?? null,
+  };
+}
+
+function getConnectedSigner() {
+  const wallet = getWallet();
+  const account = getAccount();
+  
+  if (!wallet || !account) {
+    throw new Error('Wallet not connected');
+  }
+  
+  return { account, signer: createSigner(wallet, account) };
+}
+
 /**
  * Upload content to Walrus storage
+ * Runs encode, register, upload and certify as separate steps, saving progress
+ * in IndexedDB so an interrupted upload can be resumed with resumeUpload.
  * @param {string} content - The content to upload
  * @param {Object} options - Upload options
  * @param {string} options.title - Optional page title
  * @param {string} options.contentType - Content type (defaults to text/markdown)
  * @param {number} options.epochs - Storage duration in epochs (defaults to MAX_EPOCHS)
  * @param {boolean} options.deletable - Whether blob can be deleted (defaults to false)
+ * @param {string} options.previousVersion - Object ID of the page this upload replaces
+ * @param {string} options.recipient - Address to transfer the blob to once certified
+ * @param {Function} options.onProgress - Called with {steps, current} as each step starts
  * @returns {Promise<{objectId: string, blobId: string, expiryEpoch: number}>} Upload result
  */
 export async function uploadToWalrus(content, options = {}) {
@@ -108,45 +309,20 @@ export async function uploadToWalrus(content, options = {}) {
     title, 
     contentType = DEFAULT_CONTENT_TYPE,
     epochs = MAX_EPOCHS,
-    deletable = false 
+    deletable = false,
+    previousVersion,
+    recipient,
+    onProgress,
   } = options;
   
-  const wallet = getWallet();
-  const account = getAccount();
-  
-  if (!wallet || !account) {
-    throw new Error('Wallet not connected');
-  }
+  const { account, signer } = getConnectedSigner();
   
   try {
     // Convert content to Uint8Array
     const encoder = new TextEncoder();
     const data = encoder.encode(content);
     
-    // Get user-configured URLs
-    const suiRpcUrl = getSuiRpcUrl();
-    const uploadRelayUrl = getUploadRelayUrl();
-    
-    // Create SuiClient
-    const suiClient = new SuiClient({ url: suiRpcUrl });
-    
-    console.log('Using upload relay:', uploadRelayUrl);
-    console.log('Using Sui RPC:', suiRpcUrl);
-    
-    // Create Walrus client with upload relay
-    const walrusClient = new WalrusClient({
-      network: WALRUS_NETWORK,
-      suiRpcUrl: suiRpcUrl,
-      uploadRelay: {
-        host: uploadRelayUrl,
-        sendTip: {
-          max: 10_000_000,  // 0.01 SUI max tip
-        },
-      },
-    });
-    
-    // Create signer wrapper
-    const signer = createSigner(wallet, account);
+    const { suiClient, walrusClient } = createUploadClients();
     
     // Build attributes object
     const attributes = {
@@ -158,38 +334,38 @@ export async function uploadToWalrus(content, options = {}) {
       console.log('📝 Setting page title attribute:', title);
     }
     
+    if (previousVersion) {
+      attributes[PREVIOUS_VERSION_ATTRIBUTE] = previousVersion;
+      console.log('🔗 Linking to previous version:', previousVersion);
+    }
+    
     console.log('📦 Upload attributes:', attributes);
     
-    // Upload blob to Walrus
-    const result = await walrusClient.writeBlob({
-      blob: data,
-      deletable,
-      epochs,
-      signer,
+    let record = {
+      owner: account.address,
+      network: getActiveNetwork(),
+      size: data.length,
+      data,
       attributes,
-    });
-    
-    console.log('Walrus writeBlob result:', result);
-    
-    // Extract the blob object from the transaction effects
-    const blobObject = result.blobObject || result.newlyCreatedBlobs?.[0]?.blobObject;
+      options: { title, contentType, epochs, deletable, previousVersion, recipient },
+      createdAt: Date.now(),
+    };
     
-    if (!blobObject) {
-      console.error('No blob object in result:', result);
-      throw new Error('Failed to get blob object from upload result');
-    }
+    onProgress?.({ steps: getUploadSteps(record), current: 'encode' });
     
-    const objectId = blobObject.id?.id || blobObject.id;
-    console.log('✅ Blob uploaded successfully!');
-    console.log('   Object ID:', objectId);
-    console.log('   Blob ID:', result.blobId || blobObject.blobId);
-    console.log('   Signer address:', account.address);
+    const metadata = await walrusClient.computeBlobMetadata({ bytes: data });
+    record = await persistUpload({
+      ...record,
+      id: createUploadId({ network: record.network, blobId: metadata.blobId, nonce: metadata.nonce }),
+      step: 'encoded',
+      blobId: metadata.blobId,
+      rootHash: metadata.rootHash,
+      nonce: metadata.nonce,
+      blobDigest: await metadata.blobDigest(),
+      encodingType: metadata.metadata.encodingType,
+    });
     
-    return {
-      objectId: objectId,
-      blobId: result.blobId || blobObject.blobId,
-      expiryEpoch: blobObject.storage?.end_epoch || blobObject.endEpoch,
-    };
+    return await runUploadSteps(record, { suiClient, walrusClient, signer, onProgress });
     
   } catch (error) {
     console.error('Upload error:', error);
@@ -198,12 +374,69 @@ export async function uploadToWalrus(content, options = {}) {
 }
 
 /**
- * Extend blob storage duration (placeholder for future implementation)
+ * Resume an interrupted upload for a registered but uncertified blob.
+ * Needs the upload record saved by uploadToWalrus in this browser.
+ * @param {Object} blob - On-chain blob with objectId and blobId
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with {steps, current} as each step starts
+ * @returns {Promise<{objectId: string, blobId: string, expiryEpoch: number}>} Upload result
+ */
+export async function resumeUpload(blob, { onProgress } = {}) {
+  const { account, signer } = getConnectedSigner();
+  
+  let record = findUploadForBlob(await getPendingUploads(), blob);
+  if (!record) {
+    throw new Error('No saved upload data for this blob in this browser');
+  }
+  
+  if (record.owner !== account.address) {
+    throw new Error(`This upload was started by ${record.owner}. Switch to that account to resume it.`);
+  }
+  
+  const { suiClient, walrusClient } = createUploadClients();
+  
+  const object = await suiClient.getObject({
+    id: blob.objectId,
+    options: { showContent: true, showPreviousTransaction: true },
+  });
+  const fields = object.data?.content?.fields;
+  
+  if (!fields) {
+    throw new Error('Blob object not found');
+  }
+  
+  if (fields.certified_epoch) {
+    console.log('Blob already certified, clearing saved upload:', blob.objectId);
+    await forgetUpload(record);
+    return {
+      objectId: blob.objectId,
+      blobId: record.blobId,
+      expiryEpoch: fields.storage?.fields?.end_epoch ?? null,
+    };
+  }
+  
+  // The tab may have closed before the registration digest was saved; an
+  // uncertified blob's last transaction is its registration
+  if (record.step === 'encoded') {
+    record = await persistUpload({
+      ...record,
+      step: 'registered',
+      blobObjectId: blob.objectId,
+      registerDigest: record.registerDigest || object.data.previousTransaction,
+    });
+  }
+  
+  console.log('🔁 Resuming upload from step:', record.step);
+  return runUploadSteps(record, { suiClient, walrusClient, signer, onProgress });
+}
+
+/**
+ * Extend blob storage duration, paying the exact WAL price from the system object
  * @param {string} objectId - Blob object ID
- * @param {number} additionalEpochs - Number of epochs to extend
- * @returns {Promise<void>}
+ * @param {number} additionalEpochs - Number of epochs to extend, clamped to max_epochs_ahead
+ * @returns {Promise<Object>} Transaction result
  */
-export async function extendBlobStorage(objectId, additionalEpochs = MAX_EPOCHS) {
+export async function extendBlobStorage(objectId, additionalEpochs = DEFAULT_EXTENSION_EPOCHS) {
   const wallet = getWallet();
   const account = getAccount();
   
@@ -211,5 +444,5 @@ export async function extendBlobStorage(objectId, additionalEpochs = MAX_EPOCHS)
     throw new Error('Wallet not connected');
   }
   
-  throw new Error('Blob extension implementation in progress. Use batch operations instead.');
+  return extendBlobsBatch([{ objectId }], additionalEpochs);
 }
@@ -3,21 +3,17 @@
  */
 
 import { Transaction } from '@mysten/sui/transactions';
-import { WalrusClient } from '@mysten/walrus';
-import { SuiClient } from '@mysten/sui/client';
 import { getWallet, getAccount, signAndExecuteTransaction } from './wallet.js';
-import { getSuiRpcUrl } from './settings.js';
-import { 
-  WAL_COIN_TYPE,
-  WALRUS_NETWORK 
-} from '../config/constants.js';
+import { loadExtensionContext, quoteExtension } from '../services/blob-extension.js';
+import { createSuiClient, createWalrusClient, getWalCoinType } from '../services/network.js';
+import { DEFAULT_EXTENSION_EPOCHS } from '../config/constants.js';
 
 /**
  * Extend multiple blobs in a single transaction using WalrusClient SDK
  * @param {Array} blobObjects - Array of blob objects with objectId, version, and digest
- * @param {number} extendedEpochs - Number of epochs to extend (default 5)
+ * @param {number} extendedEpochs - Number of epochs to extend; each blob is clamped to max_epochs_ahead
  */
-export async function extendBlobsBatch(blobObjects, extendedEpochs = 5) {
+export async function extendBlobsBatch(blobObjects, extendedEpochs = DEFAULT_EXTENSION_EPOCHS) {
   const wallet = getWallet();
   const account = getAccount();
   
@@ -32,62 +28,35 @@ export async function extendBlobsBatch(blobObjects, extendedEpochs = 5) {
   console.log(`Extending ${blobObjects.length} blobs for up to ${extendedEpochs} epochs using WalrusClient SDK`);
   
   try {
-    const suiRpcUrl = getSuiRpcUrl();
-    const client = new SuiClient({ url: suiRpcUrl });
-    const walrusClient = new WalrusClient({
-      network: 'mainnet',
-      suiRpcUrl: suiRpcUrl,
-    });
-    
-    // Get current system state to determine current epoch and max_epochs_ahead
-    console.log('Fetching Walrus system state...');
-    const systemState = await walrusClient.systemState();
-    const currentEpoch = systemState.committee.epoch;
-    
-    // Max epochs ahead offset is 52 epochs from current
-    const maxEpochsAheadOffset = 52;
+    const client = createSuiClient();
+    const walrusClient = createWalrusClient();
     
-    console.log(`Current epoch: ${currentEpoch}, Max epochs ahead offset: ${maxEpochsAheadOffset}`);
+    // Price the extension from the live system state; each blob is clamped to max_epochs_ahead
+    console.log('Fetching Walrus system state and blob storage...');
+    const context = await loadExtensionContext(blobObjects.map(blob => blob.objectId));
+    const { items: extensionPlan, skipped, totalCost } = quoteExtension(context, extendedEpochs);
     
-    const tx = new Transaction();
-    
-    // Set gas budget
-    tx.setGasBudget(500_000_000); // 0.5 SUI for gas
+    console.log(`Current epoch: ${context.currentEpoch}, max_epochs_ahead: ${context.maxEpochsAhead}`);
     
-    // Calculate safe extension epochs for each blob individually
-    console.log('Calculating safe extension for each blob...');
-    const extensionPlan = [];
+    for (const { objectId, reason } of skipped) {
+      console.warn(`⚠️ Blob ${objectId} - SKIPPED: ${reason}`);
+    }
     
-    for (const blob of blobObjects) {
-      // Calculate current offset: how many epochs until blob expires
-      const startOffset = blob.expiryEpoch - currentEpoch;
-      
-      // Calculate maximum safe extension for this blob
-      const maxSafeExtend = maxEpochsAheadOffset - startOffset;
-      
-      // Use the minimum of requested epochs and what's safe
-      const safeEpochs = Math.min(extendedEpochs, maxSafeExtend);
-      
-      if (safeEpochs <= 0) {
-        console.warn(`⚠️ Blob ${blob.objectId} - SKIPPED: already at/beyond max_epochs_ahead (end_epoch: ${blob.expiryEpoch}, offset: ${startOffset}, max: ${maxEpochsAheadOffset})`);
-        continue; // Skip this blob
-      }
-      
-      extensionPlan.push({
-        blob,
-        epochs: safeEpochs,
-        currentOffset: startOffset,
-      });
-      
-      console.log(`✓ Blob ${blob.objectId} - end_epoch: ${blob.expiryEpoch}, extending by: ${safeEpochs} epochs (offset: ${startOffset}/${maxEpochsAheadOffset})`);
+    for (const plan of extensionPlan) {
+      console.log(`✓ Blob ${plan.objectId} - end_epoch: ${plan.endEpoch}, extending by: ${plan.epochs} epochs for ${plan.cost} FROST`);
     }
     
     if (extensionPlan.length === 0) {
-      throw new Error('No blobs can be extended - all are already at or beyond max_epochs_ahead limit');
+      throw new Error('No blobs can be extended - all are expired or already at the max_epochs_ahead limit');
     }
     
     console.log(`Will extend ${extensionPlan.length} of ${blobObjects.length} blob(s)`);
     
+    const tx = new Transaction();
+    
+    // Set gas budget
+    tx.setGasBudget(500_000_000); // 0.5 SUI for gas
+    
     // Set the sender before building operations
     tx.setSender(account.address);
     
@@ -120,33 +89,31 @@ export async function extendBlobsBatch(blobObjects, extendedEpochs = 5) {
     // Get and merge WAL coins for payment
     let walCoins = await client.getCoins({
       owner: account.address,
-      coinType: WAL_COIN_TYPE,
+      coinType: await getWalCoinType(),
     });
     
     if (!walCoins.data || walCoins.data.length === 0) {
       throw new Error('No WAL coins found');
     }
     
-    // Estimate payment needed (generous estimate: 1 WAL per blob per epoch)
-    const estimatedPayment = extensionPlan.reduce((sum, plan) => sum + plan.epochs, 0) * 1_000_000_000;
-    console.log(`Estimated payment needed: ${estimatedPayment} MIST`);
+    console.log(`Exact payment needed: ${totalCost} FROST`);
     
     // Select only enough coins to cover the payment
     let coinsToMerge = [];
-    let totalBalance = 0;
+    let totalBalance = 0n;
     
     for (const coin of walCoins.data) {
       coinsToMerge.push(coin);
-      totalBalance += parseInt(coin.balance);
-      if (totalBalance >= estimatedPayment) {
+      totalBalance += BigInt(coin.balance);
+      if (totalBalance >= totalCost) {
         break;
       }
     }
     
-    console.log(`Using ${coinsToMerge.length} of ${walCoins.data.length} WAL coins (total: ${totalBalance} MIST)`);
+    console.log(`Using ${coinsToMerge.length} of ${walCoins.data.length} WAL coins (total: ${totalBalance} FROST)`);
     
-    if (totalBalance < estimatedPayment) {
-      throw new Error(`Insufficient WAL balance. Need ~${estimatedPayment / 1e9} WAL, but only have ${totalBalance / 1e9} WAL`);
+    if (totalBalance < totalCost) {
+      throw new Error(`Insufficient WAL balance. Need ${Number(totalCost) / 1e9} WAL, but only have ${Number(totalBalance) / 1e9} WAL`);
     }
     
     // Use the first coin as primary, merge only the selected coins into it
@@ -165,7 +132,7 @@ export async function extendBlobsBatch(blobObjects, extendedEpochs = 5) {
         target: `${walrusPackageId}::system::extend_blob`,
         arguments: [
           systemObjRef,  // Use the shared object reference with version info
-          tx.object(plan.blob.objectId),
+          tx.object(plan.objectId),
           tx.pure.u32(plan.epochs),
           walCoinRef,  // Pass the WAL coin for payment
         ],
@@ -176,11 +143,11 @@ export async function extendBlobsBatch(blobObjects, extendedEpochs = 5) {
     console.log('=== TRANSACTION SUMMARY ===');
     console.log('Operations:');
     extensionPlan.forEach((plan, i) => {
-      console.log(`  ${i + 1}. Extend blob ${plan.blob.objectId.slice(0, 10)}... by ${plan.epochs} epochs`);
+      console.log(`  ${i + 1}. Extend blob ${plan.objectId.slice(0, 10)}... by ${plan.epochs} epochs`);
     });
     console.log(`Total blobs: ${extensionPlan.length}`);
     console.log(`Total epochs: ${extensionPlan.reduce((sum, p) => sum + p.epochs, 0)}`);
-    console.log(`Estimated cost: ~${extensionPlan.reduce((sum, p) => sum + p.epochs, 0)} WAL`);
+    console.log(`Exact cost: ${Number(totalCost) / 1e9} WAL`);
     console.log('System object:', systemObjectId);
     console.log('WAL coins used:', coinsToMerge.length);
     console.log('=== REQUESTING APPROVAL ===');
@@ -217,11 +184,7 @@ export async function deleteBlobsBatch(blobObjects) {
   console.log(`Burning ${blobObjects.length} blob(s)`);
   
   try {
-    const suiRpcUrl = getSuiRpcUrl();
-    const walrusClient = new WalrusClient({
-      network: WALRUS_NETWORK,
-      suiRpcUrl: suiRpcUrl,
-    });
+    const walrusClient = createWalrusClient();
     
     const tx = new Transaction();
     
@@ -0,0 +1,109 @@
+/**
+ * Code Blocks Module - Fenced code blocks in Markdown, highlighted with a
+ * language label and copy button. The info string can ask for line numbers
+ * and highlighted lines:
+ *
+ *   ```js {1,3-5} showLineNumbers
+ */
+
+import { highlightLines } from './highlight.js';
+import { h } from './dom.js';
+
+// Drawn by other modules instead of highlighted, see diagrams.js
+const PASSTHROUGH_LANGUAGES = new Set(['mermaid']);
+
+// Goes into a class name, so keep it to plain language names like c++, c# or objective-c
+const LANGUAGE_PATTERN = /^[\w+#-]+$/;
+
+/**
+ * Parse a code fence info string
+ * @param {string} info - Info string, e.g. 'js {1,3-5} showLineNumbers'
+ * @returns {{language: string, ranges: Array<Array<number>>, lineNumbers: boolean}} Language
+ *   ('' if none), highlighted [start, end] line ranges, and whether to number lines
+ */
+export function parseCodeInfo(info = '') {
+  const [, language, meta] = /^([^\s{]*)\s*(.*)$/s.exec(info.trim());
+
+  const ranges = [];
+  for (const range of /\{([^}]*)\}/.exec(meta)?.[1].split(',') || []) {
+    const [start, end = start] = range.split('-').map(n => parseInt(n, 10));
+    if (start > 0 && end >= start) {
+      ranges.push([start, end]);
+    }
+  }
+
+  return {
+    language: LANGUAGE_PATTERN.test(language) ? language.toLowerCase() : '',
+    ranges,
+    lineNumbers: /(^|\s)showLineNumbers(\s|$)/.test(meta),
+  };
+}
+
+function isLineHighlighted(ranges, lineNumber) {
+  return ranges.some(([start, end]) => lineNumber >= start && lineNumber <= end);
+}
+
+/**
+ * marked extension that highlights fenced code blocks
+ * @type {Object}
+ */
+export const codeBlockExtension = {
+  renderer: {
+    code({ text, lang }) {
+      const { language, ranges, lineNumbers } = parseCodeInfo(lang);
+
+      // false falls back to marked's own <pre><code class="language-..."> output
+      if (PASSTHROUGH_LANGUAGES.has(language)) return false;
+
+      const lines = highlightLines(text, language).map((html, index) => {
+        const className = isLineHighlighted(ranges, index + 1) ? 'code-line highlighted' : 'code-line';
+        return `<span class="${className}">${html}</span>`;
+      });
+
+      const preClass = lineNumbers ? ' class="line-numbers"' : '';
+      const codeClass = language ? `hljs language-${language}` : 'hljs';
+      return `<div class="code-block"><pre${preClass}><code class="${codeClass}">${lines.join('\n')}</code></pre></div>\n`;
+    },
+  },
+};
+
+/**
+ * Add the language label and copy button to highlighted code blocks. Runs after
+ * sanitizing, which doesn't let buttons through.
+ * @param {ParentNode} root - Sanitized Markdown output
+ */
+export function addCodeBlockHeaders(root) {
+  for (const block of root.querySelectorAll('.code-block')) {
+    const code = block.querySelector('pre > code');
+    if (!code) continue;
+
+    const language = /(?:^|\s)language-(\S+)/.exec(code.className)?.[1];
+    block.prepend(h('div', { class: 'code-block-header' },
+      h('span', { class: 'code-block-language' }, language || 'text'),
+      h('button', { type: 'button', class: 'code-copy-btn', title: 'Copy code' }, 'Copy')
+    ));
+  }
+}
+
+// Rendered Markdown is set as HTML, so copy buttons are handled by delegation
+async function handleCopyClick(event) {
+  const button = event.target.closest?.('.code-copy-btn');
+  const code = button?.closest('.code-block')?.querySelector('pre > code');
+  if (!code) return;
+
+  try {
+    await navigator.clipboard.writeText(code.textContent);
+    button.textContent = 'Copied!';
+  } catch (error) {
+    console.error('Failed to copy code:', error);
+    button.textContent = 'Copy failed';
+  }
+  setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+}
+
+/**
+ * Handle copy buttons on code blocks anywhere in the document
+ */
+export function initCodeCopyButtons() {
+  document.addEventListener('click', handleCopyClick);
+}
@@ -0,0 +1,221 @@
+/**
+ * Dev Wallet Module - Built-in Wallet Standard wallet for local networks.
+ * Signs with Ed25519 keys generated or imported in the settings modal and
+ * stored unencrypted in localStorage, so it must never hold real funds.
+ */
+
+import { getWallets, ReadonlyWalletAccount } from '@mysten/wallet-standard';
+import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519';
+import { Transaction } from '@mysten/sui/transactions';
+import { toBase64 } from '@mysten/sui/utils';
+import { getNetworkProfile, getSuiChain, createSuiClient } from '../services/network.js';
+import { fundMockAddress } from '../mock/mock-chain.js';
+
+const STORAGE_KEY = 'walrus_dev_wallet_keys';
+
+const ICON = `data:image/svg+xml;base64,${btoa(
+  '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32"><rect width="32" height="32" rx="8" fill="#0f766e"/>'
+  + '<text x="16" y="22" font-size="16" text-anchor="middle" fill="#fff" font-family="sans-serif">D</text></svg>'
+)}`;
+
+const FEATURES = ['sui:signTransaction', 'sui:signAndExecuteTransaction', 'sui:signAndExecuteTransactionBlock', 'sui:signPersonalMessage'];
+
+const changeListeners = new Set();
+let registered = false;
+
+function loadKeys() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function saveKeys(keys) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(keys));
+  notifyChange();
+}
+
+function toKeypair(secretKey) {
+  return Ed25519Keypair.fromSecretKey(secretKey);
+}
+
+/**
+ * List the dev wallet's accounts
+ * @returns {Array<{address: string, label: string}>} Accounts in the order they were added
+ */
+export function getDevWalletAccounts() {
+  return loadKeys().map(({ label, secretKey }) => ({
+    address: toKeypair(secretKey).toSuiAddress(),
+    label,
+  }));
+}
+
+function addKey(keypair) {
+  const keys = loadKeys();
+  const address = keypair.toSuiAddress();
+
+  if (keys.some(({ secretKey }) => toKeypair(secretKey).toSuiAddress() === address)) {
+    throw new Error(`${address} is already in the dev wallet`);
+  }
+
+  saveKeys([...keys, { label: `Dev account ${keys.length + 1}`, secretKey: keypair.getSecretKey() }]);
+  console.log('🔑 Added dev wallet account:', address);
+  return address;
+}
+
+/**
+ * Generate a new Ed25519 key and add it to the dev wallet
+ * @returns {string} Address of the new account
+ */
+export function generateDevWalletKey() {
+  return addKey(new Ed25519Keypair());
+}
+
+/**
+ * Import an Ed25519 private key into the dev wallet
+ * @param {string} secretKey - Bech32 private key, as printed by `sui keytool export` (suiprivkey...)
+ * @returns {string} Address of the imported account
+ * @throws {Error} If the key is not a valid Ed25519 private key or is already imported
+ */
+export function importDevWalletKey(secretKey) {
+  let keypair;
+  try {
+    keypair = toKeypair(secretKey.trim());
+  } catch (error) {
+    throw new Error(`Invalid private key: ${error.message}`);
+  }
+  return addKey(keypair);
+}
+
+/**
+ * Remove an account from the dev wallet
+ * @param {string} address - Account address
+ */
+export function removeDevWalletKey(address) {
+  saveKeys(loadKeys().filter(({ secretKey }) => toKeypair(secretKey).toSuiAddress() !== address));
+}
+
+function getKeypair(address) {
+  const key = loadKeys().find(({ secretKey }) => toKeypair(secretKey).toSuiAddress() === address);
+  if (!key) {
+    throw new Error(`${address} is not in the dev wallet`);
+  }
+  return toKeypair(key.secretKey);
+}
+
+function createAccounts() {
+  return loadKeys().map(({ label, secretKey }) => {
+    const keypair = toKeypair(secretKey);
+    return new ReadonlyWalletAccount({
+      address: keypair.toSuiAddress(),
+      label,
+      publicKey: keypair.getPublicKey().toRawBytes(),
+      chains: [getSuiChain()],
+      features: FEATURES,
+    });
+  });
+}
+
+function notifyChange() {
+  if (changeListeners.size === 0) return;
+  const accounts = createAccounts();
+  for (const listener of changeListeners) {
+    try { listener({ accounts }); } catch (e) { console.error('Dev wallet listener error:', e); }
+  }
+}
+
+async function signTransaction(transaction, account) {
+  const client = createSuiClient();
+  const tx = Transaction.from(await transaction.toJSON());
+  tx.setSenderIfNotSet(account.address);
+
+  const bytes = await tx.build({ client });
+  const { signature } = await getKeypair(account.address).signTransaction(bytes);
+  return { client, bytes, signature };
+}
+
+function createDevWallet() {
+  return {
+    version: '1.0.0',
+    name: 'Dev Wallet',
+    icon: ICON,
+    chains: [getSuiChain()],
+    get accounts() {
+      return createAccounts();
+    },
+    features: {
+      'standard:connect': {
+        version: '1.0.0',
+        connect: async () => {
+          const accounts = createAccounts();
+          if (accounts.length === 0) {
+            throw new Error('The dev wallet has no keys yet. Generate or import one in Network Settings.');
+          }
+          // New keys start empty; the mock network can fund them on the spot
+          if (getNetworkProfile().mock) {
+            await Promise.all(accounts.map(account => fundMockAddress(account.address)));
+          }
+          return { accounts };
+        },
+      },
+      'standard:disconnect': {
+        version: '1.0.0',
+        disconnect: async () => {},
+      },
+      'standard:events': {
+        version: '1.0.0',
+        on: (event, listener) => {
+          if (event !== 'change') return () => {};
+          changeListeners.add(listener);
+          return () => changeListeners.delete(listener);
+        },
+      },
+      'sui:signTransaction': {
+        version: '2.0.0',
+        signTransaction: async ({ transaction, account }) => {
+          const { bytes, signature } = await signTransaction(transaction, account);
+          return { bytes: toBase64(bytes), signature };
+        },
+      },
+      'sui:signAndExecuteTransaction': {
+        version: '2.0.0',
+        signAndExecuteTransaction: async ({ transaction, account }) => {
+          const { client, bytes, signature } = await signTransaction(transaction, account);
+          const result = await client.executeTransactionBlock({
+            transactionBlock: bytes,
+            signature,
+            options: { showRawEffects: true },
+          });
+          return {
+            bytes: toBase64(bytes),
+            signature,
+            digest: result.digest,
+            effects: toBase64(Uint8Array.from(result.rawEffects || [])),
+          };
+        },
+      },
+      'sui:signAndExecuteTransactionBlock': {
+        version: '1.0.0',
+        signAndExecuteTransactionBlock: async ({ transactionBlock, account, options }) => {
+          const { client, bytes, signature } = await signTransaction(transactionBlock, account);
+          return client.executeTransactionBlock({ transactionBlock: bytes, signature, options });
+        },
+      },
+      'sui:signPersonalMessage': {
+        version: '1.0.0',
+        signPersonalMessage: async ({ message, account }) => getKeypair(account.address).signPersonalMessage(message),
+      },
+    },
+  };
+}
+
+/**
+ * Register the dev wallet with the Wallet Standard registry, once per page load
+ */
+export function registerDevWallet() {
+  if (registered) return;
+  registered = true;
+  getWallets().register(createDevWallet());
+  console.log('🔑 Registered dev wallet with', loadKeys().length, 'account(s)');
+}
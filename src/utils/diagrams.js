@@ -0,0 +1,72 @@
+/**
+ * Diagrams Module - Mermaid diagrams from ```mermaid code blocks.
+ * Mermaid is bundled but only loaded the first time a page has a diagram.
+ */
+
+import DOMPurify from 'dompurify';
+
+// SVG only: labels are drawn as SVG text, so no HTML goes in the diagram
+const DIAGRAM_PROFILE = {
+  USE_PROFILES: { svg: true, svgFilters: true },
+  ADD_TAGS: ['style'],
+};
+
+let mermaidPromise = null;
+let diagramCount = 0;
+
+function loadMermaid() {
+  if (!mermaidPromise) {
+    mermaidPromise = import('mermaid').then(({ default: mermaid }) => {
+      mermaid.initialize({
+        startOnLoad: false,
+        securityLevel: 'strict',
+        htmlLabels: false,
+        flowchart: { htmlLabels: false },
+        theme: 'default',
+      });
+      return mermaid;
+    });
+  }
+  return mermaidPromise;
+}
+
+function showDiagramError(block, error) {
+  const message = document.createElement('p');
+  message.className = 'diagram-error';
+  message.textContent = `Diagram could not be rendered: ${error.message || error}`;
+  block.after(message);
+}
+
+/**
+ * Replace ```mermaid code blocks with rendered diagrams. Blocks that fail to parse
+ * stay as code, with the error below them.
+ * @param {ParentNode} root - Element the Markdown was rendered into
+ * @returns {Promise<void>}
+ */
+export async function renderDiagrams(root) {
+  const blocks = [...root.querySelectorAll('pre > code.language-mermaid')].map(code => code.parentElement);
+  if (blocks.length === 0) return;
+
+  const mermaid = await loadMermaid();
+
+  for (const block of blocks) {
+    // The preview re-renders while typing; skip blocks that are gone
+    if (!block.isConnected) continue;
+
+    const id = `mermaid-diagram-${++diagramCount}`;
+    try {
+      const { svg } = await mermaid.render(id, block.textContent);
+      if (!block.isConnected) continue;
+
+      const figure = document.createElement('div');
+      figure.className = 'mermaid-diagram';
+      figure.innerHTML = DOMPurify.sanitize(svg, DIAGRAM_PROFILE);
+      block.replaceWith(figure);
+    } catch (error) {
+      // Mermaid can leave its scratch element behind when parsing fails
+      document.getElementById(`d${id}`)?.remove();
+      console.warn('Could not render diagram:', error);
+      showDiagramError(block, error);
+    }
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * DOM Module - Safe element building for cards and views.
+ * Text always becomes text nodes and attributes are set one by one, so data
+ * from the chain (titles, addresses, attributes) can never turn into markup.
+ * Use this instead of building HTML strings for anything that includes data.
+ */
+
+// Schemes allowed in href/src; relative URLs are always allowed
+const SAFE_URL_PROTOCOLS = new Set(['http:', 'https:', 'blob:', 'mailto:']);
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster']);
+
+/**
+ * Check that a URL can't run script when used as a link or image source
+ * @param {string} url - Absolute or relative URL
+ * @returns {boolean} True for http(s), blob and mailto URLs and relative URLs
+ */
+export function isSafeUrl(url) {
+  try {
+    return SAFE_URL_PROTOCOLS.has(new URL(String(url), window.location.href).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function appendChildren(parent, children) {
+  for (const child of children) {
+    if (child === null || child === undefined || child === false) continue;
+
+    if (Array.isArray(child)) {
+      appendChildren(parent, child);
+    } else if (child instanceof Node) {
+      parent.appendChild(child);
+    } else {
+      parent.appendChild(document.createTextNode(String(child)));
+    }
+  }
+}
+
+/**
+ * Create an element
+ * @param {string} tag - Tag name, e.g. 'div'
+ * @param {Object} props - Attributes, plus:
+ *   - class: class name(s)
+ *   - dataset: data-* attributes, e.g. { objectId: '0x..' } for data-object-id
+ *   - on<event>: event listeners, e.g. onclick
+ *   true adds an empty attribute (e.g. checked), and false, null or undefined leave it out.
+ *   Unsafe URLs in href or src are dropped.
+ * @param {...(Node|string|number|Array|null|false)} children - Nodes and text; arrays are flattened, empty values skipped
+ * @returns {HTMLElement} The element
+ */
+export function h(tag, props = {}, ...children) {
+  const element = document.createElement(tag);
+
+  for (const [name, value] of Object.entries(props || {})) {
+    if (value === null || value === undefined || value === false) continue;
+
+    if (name === 'class') {
+      element.className = Array.isArray(value) ? value.filter(Boolean).join(' ') : value;
+    } else if (name === 'dataset') {
+      Object.assign(element.dataset, value);
+    } else if (name.startsWith('on') && typeof value === 'function') {
+      element.addEventListener(name.slice(2), value);
+    } else if (URL_ATTRIBUTES.has(name) && !isSafeUrl(value)) {
+      console.warn(`Dropped unsafe ${name} on <${tag}>:`, value);
+    } else {
+      element.setAttribute(name, value === true ? '' : String(value));
+    }
+  }
+
+  appendChildren(element, children);
+  return element;
+}
+
+/**
+ * Replace an element's children
+ * @param {HTMLElement} parent - Element to fill
+ * @param {...(Node|string|number|Array|null|false)} children - Same as for h()
+ * @returns {HTMLElement} The parent
+ */
+export function setChildren(parent, ...children) {
+  parent.replaceChildren();
+  appendChildren(parent, children);
+  return parent;
+}
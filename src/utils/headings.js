@@ -0,0 +1,78 @@
+/**
+ * Headings Module - Stable anchor IDs for Markdown headings, so sections can
+ * be linked as ?page=0x...#section and listed in the table of contents.
+ */
+
+/**
+ * Prefix the sanitizer adds to every id in page content (DOMPurify's
+ * SANITIZE_NAMED_PROPS), so pages can't clobber the app's own element IDs.
+ * Links keep the bare slug: #install, not #user-content-install.
+ * @type {string}
+ */
+export const CONTENT_ID_PREFIX = 'user-content-';
+
+const HTML_ENTITY = /&(?:#\d+|#x[\da-f]+|[a-z]+);/gi;
+
+/**
+ * Turn heading text into a slug, the way GitHub does: lowercase, punctuation
+ * dropped, spaces to hyphens
+ * @param {string} html - Heading content as HTML
+ * @returns {string} Slug, e.g. 'getting-started'
+ */
+export function slugify(html) {
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(HTML_ENTITY, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+// Slugs used so far in the document being rendered; repeats get -1, -2, ...
+const usedSlugs = new Map();
+
+function getUniqueSlug(html) {
+  const slug = slugify(html) || 'section';
+  const count = usedSlugs.get(slug) || 0;
+  usedSlugs.set(slug, count + 1);
+  return count === 0 ? slug : `${slug}-${count}`;
+}
+
+/**
+ * marked extension that gives headings slug IDs
+ * @type {Object}
+ */
+export const headingExtension = {
+  hooks: {
+    preprocess(markdown) {
+      usedSlugs.clear();
+      return markdown;
+    },
+  },
+  renderer: {
+    heading({ tokens, depth }) {
+      const html = this.parser.parseInline(tokens);
+      return `<h${depth} id="${getUniqueSlug(html)}">${html}</h${depth}>\n`;
+    },
+  },
+};
+
+/**
+ * Find the element a #fragment points to in page content
+ * @param {HTMLElement} container - Element the page was rendered into
+ * @param {string} hash - Fragment, e.g. '#getting-started'
+ * @returns {HTMLElement|null} Heading or footnote, or null if the page has none by that name
+ */
+export function findSection(container, hash) {
+  let id;
+  try {
+    id = decodeURIComponent(hash.replace(/^#/, ''));
+  } catch {
+    return null;
+  }
+  if (!id) return null;
+
+  // Querying the container, not the document: the editor preview can have the same IDs
+  return container.querySelector(`[id="${CSS.escape(CONTENT_ID_PREFIX + id)}"]`);
+}
@@ -0,0 +1,132 @@
+/**
+ * Syntax Highlighting Module - Highlights source code with highlight.js.
+ * Only the languages below are bundled, to keep the single-file build small.
+ */
+
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import c from 'highlight.js/lib/languages/c';
+import cpp from 'highlight.js/lib/languages/cpp';
+import css from 'highlight.js/lib/languages/css';
+import diff from 'highlight.js/lib/languages/diff';
+import go from 'highlight.js/lib/languages/go';
+import ini from 'highlight.js/lib/languages/ini';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import markdown from 'highlight.js/lib/languages/markdown';
+import python from 'highlight.js/lib/languages/python';
+import rust from 'highlight.js/lib/languages/rust';
+import sql from 'highlight.js/lib/languages/sql';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+
+const LANGUAGES = { bash, c, cpp, css, diff, go, ini, java, javascript, json, markdown, python, rust, sql, typescript, xml, yaml };
+
+for (const [name, language] of Object.entries(LANGUAGES)) {
+  hljs.registerLanguage(name, language);
+}
+
+/**
+ * Language for each source code content type
+ * @type {Object<string, string>}
+ */
+const CONTENT_TYPE_LANGUAGES = {
+  'text/javascript': 'javascript',
+  'application/javascript': 'javascript',
+  'application/x-javascript': 'javascript',
+  'text/typescript': 'typescript',
+  'application/typescript': 'typescript',
+  'text/x-python': 'python',
+  'text/x-rust': 'rust',
+  'text/x-go': 'go',
+  'text/x-java-source': 'java',
+  'text/x-c': 'c',
+  'text/x-c++src': 'cpp',
+  'text/css': 'css',
+  'text/html': 'xml',
+  'text/xml': 'xml',
+  'application/xml': 'xml',
+  'application/xhtml+xml': 'xml',
+  'text/x-sh': 'bash',
+  'application/x-sh': 'bash',
+  'text/x-shellscript': 'bash',
+  'text/yaml': 'yaml',
+  'application/yaml': 'yaml',
+  'application/x-yaml': 'yaml',
+  'application/toml': 'ini',
+  'application/sql': 'sql',
+  'text/x-diff': 'diff',
+  'text/x-patch': 'diff',
+  'application/json': 'json',
+};
+
+/**
+ * Pick the highlighting language for a content type
+ * @param {string} contentType - MIME type without parameters, e.g. 'text/x-python'
+ * @returns {string|null} highlight.js language name, or null if it isn't source code
+ */
+export function getLanguageForContentType(contentType) {
+  if (CONTENT_TYPE_LANGUAGES[contentType]) {
+    return CONTENT_TYPE_LANGUAGES[contentType];
+  }
+
+  // Structured syntax suffixes, e.g. application/ld+json or image/svg+xml
+  if (contentType.endsWith('+json')) return 'json';
+  if (contentType.endsWith('+xml')) return 'xml';
+
+  return null;
+}
+
+/**
+ * Check whether a language can be highlighted
+ * @param {string} language - Language name or alias, e.g. 'js'
+ * @returns {boolean} True if the language is bundled
+ */
+export function isLanguageSupported(language) {
+  return !!language && !!hljs.getLanguage(language);
+}
+
+/**
+ * Highlight source code
+ * @param {string} code - Source code
+ * @param {string} language - Language name or alias; unknown languages are escaped without highlighting
+ * @returns {string} HTML with escaped code wrapped in highlight.js spans
+ */
+export function highlightCode(code, language) {
+  if (isLanguageSupported(language)) {
+    return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+  }
+
+  const escaper = document.createElement('div');
+  escaper.textContent = code;
+  return escaper.innerHTML;
+}
+
+/**
+ * Highlight source code line by line. Spans that run over several lines, such as
+ * block comments, are closed at each line end and reopened on the next line.
+ * @param {string} code - Source code
+ * @param {string} language - Language name or alias; unknown languages are escaped without highlighting
+ * @returns {Array<string>} HTML for each line
+ */
+export function highlightLines(code, language) {
+  const lines = [];
+  const openTags = [];
+  let line = '';
+
+  for (const part of highlightCode(code.replace(/\n$/, ''), language).split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (part === '\n') {
+      lines.push(line + '</span>'.repeat(openTags.length));
+      line = openTags.join('');
+    } else {
+      if (part.startsWith('<span')) openTags.push(part);
+      if (part === '</span>') openTags.pop();
+      line += part;
+    }
+  }
+
+  lines.push(line);
+  return lines;
+}
@@ -0,0 +1,95 @@
+/**
+ * HTML Page Module - Sanitize hand-written HTML pages and show them in a
+ * sandboxed iframe. Pages keep their own layout and styles, but can't run
+ * scripts, submit forms or load anything but images, media and fonts.
+ */
+
+import DOMPurify from 'dompurify';
+
+/**
+ * DOMPurify profile for HTML pages: whole documents with <style> blocks and
+ * style attributes, without scripts, forms, frames or plugins
+ * @type {Object}
+ */
+const HTML_PAGE_PROFILE = {
+  WHOLE_DOCUMENT: true,
+  ADD_TAGS: ['style'],
+  FORBID_TAGS: [
+    'script', 'noscript', 'template',
+    'form', 'input', 'button', 'select', 'option', 'optgroup', 'textarea', 'datalist', 'output',
+    'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'portal',
+    'base', 'link', 'meta',
+  ],
+  FORBID_ATTR: ['action', 'formaction', 'srcdoc', 'ping'],
+};
+
+/**
+ * Content Security Policy set inside the frame, on top of the sandbox
+ * @type {string}
+ */
+const HTML_PAGE_CSP = [
+  "default-src 'none'",
+  "style-src 'unsafe-inline'",
+  'img-src https: data: blob:',
+  'media-src https: data: blob:',
+  'font-src https: data:',
+  "form-action 'none'",
+  "base-uri 'none'",
+].join('; ');
+
+// No allow-scripts: nothing in the page runs. allow-same-origin only lets us size the frame to its content.
+// Links open in a new tab, outside the sandbox.
+const SANDBOX = 'allow-same-origin allow-popups allow-popups-to-escape-sandbox';
+
+// Pages sized in viewport units grow with the frame; stop there rather than forever
+const MAX_FRAME_HEIGHT_PX = 40000;
+
+/**
+ * Sanitize an HTML page and lock it down with a CSP
+ * @param {string} html - HTML document or fragment as published
+ * @returns {string} Complete HTML document, safe to use as an iframe's srcdoc
+ */
+export function sanitizeHtmlPage(html) {
+  const clean = DOMPurify.sanitize(html, HTML_PAGE_PROFILE);
+  const doc = new DOMParser().parseFromString(clean, 'text/html');
+
+  const csp = doc.createElement('meta');
+  csp.httpEquiv = 'Content-Security-Policy';
+  csp.content = HTML_PAGE_CSP;
+
+  // Links would otherwise navigate the frame itself
+  const base = doc.createElement('base');
+  base.target = '_blank';
+
+  doc.head.prepend(csp, base);
+  return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+}
+
+/**
+ * Create a sandboxed iframe showing an HTML page. Once attached, it grows to fit its content.
+ * @param {string} html - HTML document or fragment as published
+ * @param {Object} options
+ * @param {string} options.title - Accessible title for the frame
+ * @returns {HTMLIFrameElement} Frame element
+ */
+export function createHtmlPageFrame(html, { title = 'HTML page' } = {}) {
+  const frame = document.createElement('iframe');
+  frame.className = 'html-page-frame';
+  frame.title = title;
+  frame.setAttribute('sandbox', SANDBOX);
+  frame.referrerPolicy = 'no-referrer';
+  frame.srcdoc = sanitizeHtmlPage(html);
+
+  frame.addEventListener('load', () => {
+    const root = frame.contentDocument?.documentElement;
+    if (!root) return;
+
+    const fit = () => {
+      frame.style.height = `${Math.min(root.scrollHeight, MAX_FRAME_HEIGHT_PX)}px`;
+    };
+    fit();
+    new ResizeObserver(fit).observe(root);
+  });
+
+  return frame;
+}
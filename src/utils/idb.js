@@ -0,0 +1,189 @@
+/**
+ * IndexedDB Module - Shared database for locally persisted app state
+ */
+
+const DB_NAME = 'walrus-pages';
+const DB_VERSION = 5;
+
+/**
+ * Object stores, their key paths and indexes. Bump DB_VERSION when adding a store
+ * or changing a key path; stores whose key path changed are recreated, with their
+ * records passed through `upgradeRecord` to add the new key.
+ * @type {Object<string, {keyPath: string, indexes?: Array<string>, upgradeRecord?: Function}>}
+ */
+const STORES = {
+  // Keyed per attempt: the same content can be uploaded more than once, and on more than one network
+  uploads: {
+    keyPath: 'id',
+    upgradeRecord: record => ({ ...record, id: `${record.network || 'legacy'}:${record.blobId}:${record.createdAt}` }),
+  },
+  metadata: { keyPath: 'objectId', indexes: ['owner'] },
+  blobEntries: { keyPath: 'blobId' },
+  blobData: { keyPath: 'blobId' },
+  mockNetwork: { keyPath: 'key' },
+};
+
+function createStore(db, name, { keyPath, indexes = [] }) {
+  const store = db.createObjectStore(name, { keyPath });
+  for (const index of indexes) {
+    store.createIndex(index, index);
+  }
+  return store;
+}
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const [name, config] of Object.entries(STORES)) {
+        if (!db.objectStoreNames.contains(name)) {
+          createStore(db, name, config);
+          continue;
+        }
+
+        const existing = request.transaction.objectStore(name);
+        if (existing.keyPath === config.keyPath) continue;
+
+        // The key path changed: carry the records over to a recreated store
+        existing.getAll().onsuccess = (event) => {
+          db.deleteObjectStore(name);
+          const store = createStore(db, name, config);
+          event.target.result.forEach(record => store.put(config.upgradeRecord(record)));
+        };
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later retry if opening failed (e.g. private browsing)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a callback inside a transaction spanning one or more object stores
+ * @param {string|Array<string>} storeNames - Object store name(s)
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the transaction and returns an IDBRequest (or nothing)
+ * @returns {Promise<any>} Result of the request once the transaction completes
+ */
+export async function withTransaction(storeNames, mode, callback) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const request = callback(transaction);
+
+    let result;
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/**
+ * Run a callback against an object store inside a transaction
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the store and returns an IDBRequest (or nothing)
+ * @returns {Promise<any>} Result of the request once the transaction completes
+ */
+export function withStore(storeName, mode, callback) {
+  return withTransaction(storeName, mode, transaction => callback(transaction.objectStore(storeName)));
+}
+
+/**
+ * Read a single record by key
+ * @param {string} storeName - Object store name
+ * @param {IDBValidKey} key - Record key
+ * @returns {Promise<Object|undefined>} Stored record
+ */
+export function getRecord(storeName, key) {
+  return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Read every record in a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array<Object>>} Stored records
+ */
+export async function getAllRecords(storeName) {
+  return (await withStore(storeName, 'readonly', store => store.getAll())) || [];
+}
+
+/**
+ * Read every record whose indexed field equals a value
+ * @param {string} storeName - Object store name
+ * @param {string} indexName - Index name
+ * @param {IDBValidKey} value - Value to match
+ * @returns {Promise<Array<Object>>} Matching records
+ */
+export async function getAllByIndex(storeName, indexName, value) {
+  return (await withStore(storeName, 'readonly', store => store.index(indexName).getAll(value))) || [];
+}
+
+/**
+ * Insert or replace several records in one transaction
+ * @param {string} storeName - Object store name
+ * @param {Array<Object>} records - Records containing the store's key path
+ * @returns {Promise<void>}
+ */
+export async function putRecords(storeName, records) {
+  await withStore(storeName, 'readwrite', (store) => {
+    records.forEach(record => store.put(record));
+  });
+}
+
+/**
+ * Delete several records by key in one transaction
+ * @param {string} storeName - Object store name
+ * @param {Array<IDBValidKey>} keys - Record keys
+ * @returns {Promise<void>}
+ */
+export async function deleteRecords(storeName, keys) {
+  await withStore(storeName, 'readwrite', (store) => {
+    keys.forEach(key => store.delete(key));
+  });
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store name
+ * @param {Object} record - Record containing the store's key path
+ * @returns {Promise<void>}
+ */
+export async function putRecord(storeName, record) {
+  await withStore(storeName, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Object store name
+ * @param {IDBValidKey} key - Record key
+ * @returns {Promise<void>}
+ */
+export async function deleteRecord(storeName, key) {
+  await withStore(storeName, 'readwrite', store => store.delete(key));
+}
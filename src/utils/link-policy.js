@@ -0,0 +1,133 @@
+/**
+ * Link Policy Module - How links in rendered pages behave.
+ * External links open in a new tab without passing the page on; links whose
+ * text shows a different site than they go to, or whose host can imitate
+ * another site's name, get a warning first, unless the user trusts the host.
+ */
+
+const TRUSTED_HOSTS_KEY = 'walrus_trusted_link_hosts';
+
+/**
+ * rel for links to other sites: no window.opener, no Referer, and no endorsement for search engines
+ * @type {string}
+ */
+export const EXTERNAL_LINK_REL = 'noopener noreferrer nofollow';
+
+// Link text that reads as a web address: a dotted host with an optional path
+const URL_LIKE_TEXT = /^(?:https?:\/\/)?([^\s/?#@]+\.[^\s/?#@.]{2,})(?:[/?#:]\S*)?$/i;
+
+// Without a scheme or www., only hosts under these count, so names like Node.js or README.md don't
+const COMMON_TLDS = new Set(['com', 'org', 'net', 'io', 'dev', 'app', 'co', 'xyz', 'ai', 'me', 'info', 'gov', 'edu', 'site']);
+
+function toUrl(href) {
+  try {
+    return new URL(href, window.location.href);
+  } catch {
+    return null;
+  }
+}
+
+function withoutWww(host) {
+  return host.replace(/^www\./, '');
+}
+
+/**
+ * Check whether a link leaves the app
+ * @param {string} href - Link target, absolute or relative
+ * @returns {boolean} True for http(s) links to another origin
+ */
+export function isExternalUrl(href) {
+  const url = toUrl(href);
+  return !!url && (url.protocol === 'http:' || url.protocol === 'https:') && url.origin !== window.location.origin;
+}
+
+/**
+ * Set rel and target on a link from a page if it goes to another site
+ * @param {HTMLAnchorElement} link - Sanitized link
+ */
+export function applyLinkPolicy(link) {
+  if (!isExternalUrl(link.getAttribute('href'))) return;
+
+  link.setAttribute('rel', EXTERNAL_LINK_REL);
+  link.setAttribute('target', '_blank');
+}
+
+/**
+ * Get the object ID of the page a link points to in this app
+ * @param {HTMLAnchorElement} link - Link
+ * @returns {string|null} Blob object ID from ?page=0x..., or null for other links
+ */
+export function getPageLinkObjectId(link) {
+  const url = toUrl(link.getAttribute('href'));
+  if (!url || url.origin !== window.location.origin || url.pathname !== window.location.pathname) {
+    return null;
+  }
+
+  const pageId = url.searchParams.get('page');
+  return pageId?.startsWith('0x') ? pageId : null;
+}
+
+/**
+ * Get the hosts the user has chosen to trust, saved in this browser
+ * @returns {Array<string>} Hostnames
+ */
+export function getTrustedHosts() {
+  try {
+    const hosts = JSON.parse(localStorage.getItem(TRUSTED_HOSTS_KEY));
+    return Array.isArray(hosts) ? hosts : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Stop warning about links to a host
+ * @param {string} host - Hostname, as in URL.hostname
+ */
+export function trustHost(host) {
+  const hosts = getTrustedHosts();
+  if (!hosts.includes(host)) {
+    localStorage.setItem(TRUSTED_HOSTS_KEY, JSON.stringify([...hosts, host]));
+  }
+}
+
+// Host a link's text claims to go to, if the text reads as a web address
+function getShownHost(text) {
+  const value = text.trim();
+  const match = URL_LIKE_TEXT.exec(value);
+  if (!match) return null;
+
+  const hasScheme = /^https?:\/\//i.test(value);
+  const tld = match[1].split('.').pop().toLowerCase();
+  if (!hasScheme && !/^www\./i.test(value) && !COMMON_TLDS.has(tld)) return null;
+
+  return toUrl(hasScheme ? value : `https://${value}`)?.hostname || null;
+}
+
+/**
+ * Decide whether following an external link needs a warning first
+ * @param {HTMLAnchorElement} link - External link from a page
+ * @returns {{reason: 'lookalike'|'mismatch', host: string, shownHost: string|null}|null} Why to warn,
+ *   the host the link goes to and the one its text shows, or null if it can be followed
+ */
+export function getLinkWarning(link) {
+  const url = toUrl(link.getAttribute('href'));
+  if (!url) return null;
+
+  const host = url.hostname;
+  if (getTrustedHosts().includes(host)) return null;
+
+  // The text shows one site, the link goes to another
+  const shownHost = getShownHost(link.textContent);
+  if (shownHost && withoutWww(shownHost) !== withoutWww(host)) {
+    return { reason: 'mismatch', host, shownHost };
+  }
+
+  // Hosts with non-ASCII letters are spelled in punycode (xn--) and can imitate
+  // other sites, e.g. a Cyrillic "а" in pаypal.com
+  if (host.split('.').some(label => label.startsWith('xn--'))) {
+    return { reason: 'lookalike', host, shownHost };
+  }
+
+  return null;
+}
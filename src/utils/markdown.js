@@ -3,31 +3,84 @@
  */
 
 import { marked } from 'marked';
+import markedFootnote from 'marked-footnote';
 import DOMPurify from 'dompurify';
+import { headingExtension } from './headings.js';
+import { mathExtension, renderMath } from './math.js';
+import { codeBlockExtension, addCodeBlockHeaders } from './code-blocks.js';
+import { resolveWalrusLink, resolveWalrusMediaUrl } from './walrus-links.js';
+import { applyLinkPolicy } from './link-policy.js';
 
 // Configure marked for better rendering
 marked.setOptions({
   breaks: true,
   gfm: true,
 });
+marked.use(headingExtension, markedFootnote(), mathExtension, codeBlockExtension);
 
+// Video and audio may only play media stored on Walrus
+const MEDIA_TAGS = new Set(['video', 'audio', 'source']);
+
+// Rewrite walrus://, sui:// and bare object ID references before the sanitizer
+// checks URLs, which would drop them (see walrus-links.js)
+function resolveWalrusReferences(node, data) {
+  if (data.attrName === 'href') {
+    data.attrValue = resolveWalrusLink(data.attrValue) ?? data.attrValue;
+  } else if (data.attrName === 'src' || data.attrName === 'poster') {
+    const mediaUrl = resolveWalrusMediaUrl(data.attrValue);
+    if (mediaUrl) {
+      data.attrValue = mediaUrl;
+    } else if (data.attrName === 'src' && MEDIA_TAGS.has(node.nodeName.toLowerCase())) {
+      data.keepAttr = false;
+    }
+  }
+}
+
+// Own instance, so the hook doesn't apply to HTML pages or diagrams
+const purify = DOMPurify(window);
+purify.addHook('uponSanitizeAttribute', resolveWalrusReferences);
+purify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.nodeName === 'A' && node.hasAttribute('href')) {
+    applyLinkPolicy(node);
+  }
+});
+
+/**
+ * Render Markdown to sanitized HTML, with heading anchors, footnotes, math typeset,
+ * code highlighted, Walrus references resolved and external links opening in a new tab.
+ * Mermaid diagrams are drawn once the HTML is on the page, with renderDiagrams().
+ * @param {string} markdown - Markdown source
+ * @returns {string} HTML
+ */
 export function renderMarkdown(markdown) {
   // Parse markdown to HTML
   const rawHtml = marked.parse(markdown);
   
   // Sanitize to prevent XSS
-  const cleanHtml = DOMPurify.sanitize(rawHtml, {
+  const cleanHtml = purify.sanitize(rawHtml, {
     ALLOWED_TAGS: [
       'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
       'p', 'br', 'strong', 'em', 'u', 's', 'code', 'pre',
       'a', 'img', 'ul', 'ol', 'li', 'blockquote',
       'table', 'thead', 'tbody', 'tr', 'th', 'td',
-      'hr', 'div', 'span'
+      'hr', 'div', 'span', 'sup', 'section',
+      'video', 'audio', 'source'
+    ],
+    ALLOWED_ATTR: [
+      'href', 'src', 'alt', 'title', 'class', 'id',
+      'controls', 'poster', 'loop', 'muted', 'playsinline', 'preload', 'type', 'width', 'height'
     ],
-    ALLOWED_ATTR: ['href', 'src', 'alt', 'title', 'class']
+    // Heading and footnote IDs become user-content-<id>, see headings.js
+    SANITIZE_NAMED_PROPS: true
   });
   
-  return cleanHtml;
+  // Math and code block headers are added after sanitizing, see math.js and code-blocks.js
+  const template = document.createElement('template');
+  template.innerHTML = cleanHtml;
+  renderMath(template.content);
+  addCodeBlockHeaders(template.content);
+  
+  return template.innerHTML;
 }
 
 export function extractTitle(markdown) {
@@ -0,0 +1,86 @@
+/**
+ * Math Module - LaTeX math in Markdown, rendered with KaTeX.
+ * The marked extension below only marks math up as escaped TeX; it is typeset
+ * after sanitizing, straight into the DOM, so KaTeX's markup never goes through
+ * the Markdown sanitizer and page HTML can't borrow its styles.
+ */
+
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
+
+// Opening $ is followed and closing $ preceded by a non-space, and a digit can't follow
+// the closing $, so prices like "$5 and $10" stay text
+const INLINE_MATH = /^\$(?!\s)((?:\\[\s\S]|[^\\$\n])+?)(?<!\s)\$(?!\d)/;
+const INLINE_DISPLAY_MATH = /^\$\$((?:\\[\s\S]|[^\\$])+?)\$\$/;
+const BLOCK_MATH = /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/;
+
+// \href, \url, \htmlClass and friends stay disabled (trust: false)
+const KATEX_OPTIONS = {
+  throwOnError: false,
+  trust: false,
+  strict: 'ignore',
+  maxExpand: 1000,
+};
+
+function escapeTex(tex) {
+  return tex.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Block math gets a <div>; math inside a paragraph stays a <span>, even in display mode
+function renderPlaceholder({ type, text, displayMode }) {
+  const tag = type === 'blockMath' ? 'div' : 'span';
+  const className = displayMode ? 'math math-display' : 'math math-inline';
+  return `<${tag} class="${className}">${escapeTex(text)}</${tag}>${tag === 'div' ? '\n' : ''}`;
+}
+
+/**
+ * marked extension for $inline$ and $$display$$ math
+ * @type {Object}
+ */
+export const mathExtension = {
+  extensions: [
+    {
+      name: 'blockMath',
+      level: 'block',
+      start: (src) => src.match(/^ {0,3}\$\$/m)?.index,
+      tokenizer(src) {
+        const match = BLOCK_MATH.exec(src);
+        if (match) {
+          return { type: 'blockMath', raw: match[0], text: match[1].trim(), displayMode: true };
+        }
+      },
+      renderer: renderPlaceholder,
+    },
+    {
+      name: 'inlineMath',
+      level: 'inline',
+      start: (src) => src.indexOf('$') >= 0 ? src.indexOf('$') : undefined,
+      tokenizer(src) {
+        const display = INLINE_DISPLAY_MATH.exec(src);
+        if (display) {
+          return { type: 'inlineMath', raw: display[0], text: display[1].trim(), displayMode: true };
+        }
+
+        const match = INLINE_MATH.exec(src);
+        if (match) {
+          return { type: 'inlineMath', raw: match[0], text: match[1], displayMode: false };
+        }
+      },
+      renderer: renderPlaceholder,
+    },
+  ],
+};
+
+/**
+ * Typeset the math placeholders left by mathExtension
+ * @param {ParentNode} root - Sanitized Markdown output
+ */
+export function renderMath(root) {
+  for (const element of root.querySelectorAll('.math')) {
+    const tex = element.textContent;
+    katex.render(tex, element, {
+      ...KATEX_OPTIONS,
+      displayMode: element.classList.contains('math-display'),
+    });
+  }
+}
@@ -4,6 +4,8 @@
  * Consolidates duplicate code from ui.js and admin.js
  */
 
+import { h } from './dom.js';
+
 /**
  * Shows a loading overlay with a custom message
  * @param {string} message - The loading message to display
@@ -14,6 +16,7 @@ export function showLoading(message = 'Processing...') {
   
   if (overlay && messageEl) {
     messageEl.textContent = message;
+    clearLoadingSteps();
     overlay.classList.remove('hidden');
   } else {
     // Fallback for admin page or other pages without overlay
@@ -25,6 +28,45 @@ export function showLoading(message = 'Processing...') {
   }
 }
 
+/**
+ * Shows the loading overlay with a checklist of steps, marking earlier steps done
+ * @param {Array<{id: string, label: string}>} steps - Steps in order
+ * @param {string} currentId - ID of the step in progress
+ */
+export function showLoadingSteps(steps, currentId) {
+  const currentIndex = steps.findIndex(step => step.id === currentId);
+  const current = steps[currentIndex];
+  const message = `Step ${currentIndex + 1} of ${steps.length}: ${current?.label || 'Processing...'}`;
+  
+  showLoading(message);
+  
+  const overlay = document.getElementById('loading-overlay');
+  if (!overlay) return;
+  
+  let list = document.getElementById('loading-steps');
+  if (!list) {
+    list = document.createElement('ol');
+    list.id = 'loading-steps';
+    list.className = 'loading-steps';
+    overlay.appendChild(list);
+  }
+  
+  list.replaceChildren(...steps.map((step, index) => {
+    const item = document.createElement('li');
+    item.textContent = step.label;
+    if (index < currentIndex) {
+      item.className = 'done';
+    } else if (index === currentIndex) {
+      item.className = 'active';
+    }
+    return item;
+  }));
+}
+
+function clearLoadingSteps() {
+  document.getElementById('loading-steps')?.remove();
+}
+
 /**
  * Hides the loading overlay
  */
@@ -32,6 +74,7 @@ export function hideLoading() {
   const overlay = document.getElementById('loading-overlay');
   if (overlay) {
     overlay.classList.add('hidden');
+    clearLoadingSteps();
   } else {
     // Fallback for admin page
     const loadingEl = document.getElementById('loading');
@@ -125,7 +168,8 @@ export function showToast(message, type = 'info', duration = 3000) {
     animation: slideIn 0.3s ease-out;
   `;
   
-  toast.innerHTML = `<span>${icon}</span><span>${message}</span>`;
+  // Messages can include error text from wallets and servers, so never parse them as HTML
+  toast.append(h('span', {}, icon), h('span', {}, message));
   
   // Add animation
   const style = document.createElement('style');
@@ -1,8 +1,31 @@
 /**
- * Router Module - Handles URL parameter parsing and view navigation
+ * Router Module - Handles URL parameter parsing and view navigation.
+ * Views are switched in place with the History API, so navigating keeps the
+ * wallet session and back/forward work; URLs keep the ?page= and ?address= form.
  */
 
-import { getAggregatorUrl } from './settings.js';
+import { getAggregatorUrls, hasCustomAggregators, getActiveNetwork } from './settings.js';
+import { getNetworkProfileById } from '../config/networks.js';
+import { WALRUS_SITES_PORTALS, LOCAL_AGGREGATOR_URL } from '../config/constants.js';
+
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+let routeHandler = null;
+
+// Path and query of the view on screen; moving between #sections of it isn't a route change
+let routedLocation = null;
+
+function getLocationKey(location = window.location) {
+  return location.pathname + location.search;
+}
+
+// Show the route in the URL; errors the handler lets through are logged rather than left unhandled
+function runRouteHandler() {
+  routedLocation = getLocationKey();
+  Promise.resolve(routeHandler(getRoute())).catch((error) => {
+    console.error('Error showing route:', error);
+  });
+}
 
 export function getPageId() {
   const params = new URLSearchParams(window.location.search);
@@ -14,14 +37,180 @@ export function getAddress() {
   return params.get('address');
 }
 
+/**
+ * Work out which aggregator to read from based on where the app was served from
+ * @param {Location} location - Location to inspect (defaults to the current page)
+ * @returns {{url: string, source: 'aggregator'|'portal'|'localhost'}|null} Detected aggregator, or null
+ */
+export function detectServingAggregator(location = window.location) {
+  const { hostname, origin, pathname } = location;
+  
+  // Served as a blob, e.g. https://<aggregator>/v1/<app-id>?page=...
+  if (pathname.startsWith('/v1/')) {
+    return { url: origin, source: 'aggregator' };
+  }
+  
+  // Walrus Sites portals don't expose the aggregator API, so use their network's aggregator,
+  // unless a different network has been selected in settings
+  const portal = WALRUS_SITES_PORTALS.find(({ domain }) => hostname === domain || hostname.endsWith(`.${domain}`));
+  if (portal) {
+    return portal.network === getActiveNetwork()
+      ? { url: getNetworkProfileById(portal.network).aggregator, source: 'portal' }
+      : null;
+  }
+  
+  // A local dev server only implies a local aggregator when localnet is selected
+  if (LOCAL_HOSTNAMES.has(hostname) && getActiveNetwork() === 'localnet') {
+    return { url: LOCAL_AGGREGATOR_URL, source: 'localhost' };
+  }
+  
+  return null;
+}
+
+/**
+ * Get the aggregators to read from, in order of preference.
+ * Aggregators set in settings always win; otherwise the detected serving
+ * aggregator goes first with the defaults behind it as fallbacks.
+ * @returns {{urls: Array<string>, source: 'settings'|'default'|'aggregator'|'portal'|'localhost', detected: string|null}}
+ */
+export function resolveAggregators() {
+  const configured = getAggregatorUrls();
+  
+  if (hasCustomAggregators()) {
+    return { urls: configured, source: 'settings', detected: null };
+  }
+  
+  // The mock network's aggregator lives in the page, wherever it was served from
+  const detected = getNetworkProfileById(getActiveNetwork()).mock ? null : detectServingAggregator();
+  if (!detected) {
+    return { urls: configured, source: 'default', detected: null };
+  }
+  
+  return {
+    urls: [detected.url, ...configured.filter(url => url !== detected.url)],
+    source: detected.source,
+    detected: detected.url,
+  };
+}
+
+/**
+ * Get the preferred aggregator URL
+ * @returns {string} Aggregator URL
+ */
 export function detectAggregator() {
-  // Use user-configured aggregator or default
-  return getAggregatorUrl();
+  return resolveAggregators().urls[0];
+}
+
+/**
+ * Get the view the current URL points to
+ * @returns {{view: 'page', pageId: string}|{view: 'address', address: string}|{view: 'landing'}} Current route
+ */
+export function getRoute() {
+  const pageId = getPageId();
+  if (pageId) {
+    return { view: 'page', pageId };
+  }
+  
+  const address = getAddress();
+  if (address) {
+    return { view: 'address', address };
+  }
+  
+  return { view: 'landing' };
+}
+
+/**
+ * Build a link to a page
+ * @param {string} objectId - Blob object ID or blob ID
+ * @returns {string} Relative URL, e.g. '?page=0x...'
+ */
+export function getPageUrl(objectId) {
+  return `?page=${encodeURIComponent(objectId)}`;
+}
+
+/**
+ * Build a link to the pages published by an address
+ * @param {string} address - Sui address
+ * @returns {string} Relative URL, e.g. '?address=0x...'
+ */
+export function getAddressUrl(address) {
+  return `?address=${encodeURIComponent(address)}`;
+}
+
+/**
+ * Switch to the view for a URL without reloading the page
+ * @param {string} url - URL to navigate to, usually from getPageUrl or getAddressUrl
+ * @param {Object} options
+ * @param {boolean} options.replace - Replace the current history entry instead of adding one
+ */
+export function navigate(url, { replace = false } = {}) {
+  const target = new URL(url, window.location.href);
+  
+  if (!routeHandler || target.origin !== window.location.origin) {
+    window.location.href = target.href;
+    return;
+  }
+  
+  // Another section of the page on screen: just scroll to it
+  if (!replace && target.hash && getLocationKey(target) === routedLocation) {
+    window.location.hash = target.hash;
+    return;
+  }
+  
+  if (replace) {
+    history.replaceState(null, '', target.href);
+  } else if (target.href !== window.location.href) {
+    history.pushState(null, '', target.href);
+  }
+  
+  window.scrollTo(0, 0);
+  runRouteHandler();
+}
+
+export function navigateToPage(objectId, options) {
+  navigate(getPageUrl(objectId), options);
+}
+
+export function navigateToAddress(address, options) {
+  navigate(getAddressUrl(address), options);
+}
+
+// Links to this app (same document, different query) are routed in place;
+// anything opened in a new tab or window is left to the browser
+function handleLinkClick(event) {
+  if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+    return;
+  }
+  
+  // Plain #anchors stay with the browser
+  const link = event.target.closest?.('a[href]');
+  if (!link || link.getAttribute('href').startsWith('#')
+    || (link.target && link.target !== '_self') || link.hasAttribute('download')) {
+    return;
+  }
+  
+  const url = new URL(link.href);
+  if (url.origin !== window.location.origin || url.pathname !== window.location.pathname) {
+    return;
+  }
+  
+  event.preventDefault();
+  navigate(url.href);
 }
 
-export function navigateToPage(objectId) {
-  const baseUrl = window.location.pathname + window.location.search;
-  window.location.href = `${window.location.origin}${window.location.pathname}?page=${objectId}`;
+/**
+ * Start routing: intercept in-app links and follow back/forward.
+ * Changes of only the #fragment are left to the page.
+ * @param {Function} handler - Called with the route from getRoute() whenever it changes
+ */
+export function initRouter(handler) {
+  routeHandler = handler;
+  routedLocation = getLocationKey();
+  document.addEventListener('click', handleLinkClick);
+  window.addEventListener('popstate', () => {
+    if (getLocationKey() === routedLocation) return;
+    runRouteHandler();
+  });
 }
 
 export function showView(viewId) {
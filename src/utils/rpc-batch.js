@@ -0,0 +1,74 @@
+/**
+ * RPC Batching Module - Chunked multi-get reads with bounded concurrency
+ */
+
+/**
+ * Sui's multiGetObjects and multiGetTransactionBlocks accept at most 50 items per request
+ * @type {number}
+ */
+export const MULTI_GET_LIMIT = 50;
+
+/**
+ * Maximum number of batched RPC requests in flight at once
+ * @type {number}
+ */
+export const RPC_CONCURRENCY = 4;
+
+/**
+ * Map over items with at most `limit` callbacks running at once, preserving order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent callbacks
+ * @param {Function} callback - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+export async function mapWithConcurrency(items, limit, callback) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await callback(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+function toChunks(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Fetch any number of objects in chunks of MULTI_GET_LIMIT
+ * @param {SuiClient} client - Sui client
+ * @param {Array<string>} ids - Object IDs
+ * @param {Object} options - Object data options (showContent, showType, ...)
+ * @returns {Promise<Array<Object>>} Object responses in the same order as ids
+ */
+export async function multiGetObjectsBatched(client, ids, options) {
+  const chunks = await mapWithConcurrency(toChunks(ids, MULTI_GET_LIMIT), RPC_CONCURRENCY, chunk =>
+    client.multiGetObjects({ ids: chunk, options })
+  );
+  return chunks.flat();
+}
+
+/**
+ * Fetch any number of transactions in chunks of MULTI_GET_LIMIT
+ * @param {SuiClient} client - Sui client
+ * @param {Array<string>} digests - Transaction digests
+ * @param {Object} options - Transaction options (showInput, showEffects, ...)
+ * @returns {Promise<Array<Object>>} Transaction responses in the same order as digests
+ */
+export async function multiGetTransactionBlocksBatched(client, digests, options) {
+  const chunks = await mapWithConcurrency(toChunks(digests, MULTI_GET_LIMIT), RPC_CONCURRENCY, chunk =>
+    client.multiGetTransactionBlocks({ digests: chunk, options })
+  );
+  return chunks.flat();
+}
@@ -1,52 +1,97 @@
 /**
- * Settings Module - Manages user preferences for aggregator and upload relay
+ * Settings Module - Manages the selected network and its aggregator, upload relay and RPC endpoints
  */
 
-const SETTINGS_KEY = 'walrus_settings';
+import { DEFAULT_NETWORK, NETWORK_PROFILES, getNetworkProfileById } from '../config/networks.js';
 
-// Default values
-const DEFAULT_AGGREGATOR = 'https://aggregator.walrus-mainnet.walrus.space';
-const DEFAULT_UPLOAD_RELAY = 'https://upload-relay.mainnet.walrus.space';
-const DEFAULT_SUI_RPC = 'https://fullnode.mainnet.sui.io:443';
+const SETTINGS_KEY = 'walrus_settings';
 
 /**
- * Get all user settings
- * @returns {Object} Settings object with aggregator and uploadRelay
+ * Read the raw stored settings: the active network and per-network overrides.
+ * Older settings stored mainnet endpoints at the top level; they become the
+ * mainnet overrides.
+ * @returns {{network: string, networks: Object<string, Object>}} Stored settings
  */
-export function getSettings() {
+function loadStoredSettings() {
   try {
     const stored = localStorage.getItem(SETTINGS_KEY);
     if (stored) {
       const settings = JSON.parse(stored);
+      if (settings.networks) {
+        return {
+          network: NETWORK_PROFILES[settings.network] ? settings.network : DEFAULT_NETWORK,
+          networks: settings.networks,
+        };
+      }
+      
+      const { aggregators, aggregator, uploadRelay, suiRpc } = settings;
       return {
-        aggregator: settings.aggregator || DEFAULT_AGGREGATOR,
-        uploadRelay: settings.uploadRelay || DEFAULT_UPLOAD_RELAY,
-        suiRpc: settings.suiRpc || DEFAULT_SUI_RPC,
+        network: DEFAULT_NETWORK,
+        networks: { [DEFAULT_NETWORK]: { aggregators, aggregator, uploadRelay, suiRpc } },
       };
     }
   } catch (error) {
     console.warn('Failed to load settings from localStorage:', error);
   }
   
-  // Return defaults
+  return { network: DEFAULT_NETWORK, networks: {} };
+}
+
+/**
+ * Get the ID of the selected network profile
+ * @returns {string} Network ID, a key of NETWORK_PROFILES
+ */
+export function getActiveNetwork() {
+  return loadStoredSettings().network;
+}
+
+/**
+ * Get all user settings for a network
+ * Older settings stored a single `aggregator`; it becomes a one-item list.
+ * @param {string} network - Network ID (defaults to the active network)
+ * @returns {Object} Settings object with network, aggregators (ordered), aggregator (the first),
+ *   uploadRelay, suiRpc, and the Walrus systemObjectId and stakingPoolId for custom deployments
+ */
+export function getSettings(network = getActiveNetwork()) {
+  const defaults = getDefaults(network);
+  const overrides = loadStoredSettings().networks[network] || {};
+  
+  let aggregators = Array.isArray(overrides.aggregators) ? overrides.aggregators.filter(Boolean) : [];
+  if (aggregators.length === 0) {
+    aggregators = overrides.aggregator ? [overrides.aggregator] : defaults.aggregators;
+  }
+  
   return {
-    aggregator: DEFAULT_AGGREGATOR,
-    uploadRelay: DEFAULT_UPLOAD_RELAY,
-    suiRpc: DEFAULT_SUI_RPC,
+    network,
+    aggregators,
+    aggregator: aggregators[0],
+    uploadRelay: overrides.uploadRelay || defaults.uploadRelay,
+    suiRpc: overrides.suiRpc || defaults.suiRpc,
+    systemObjectId: overrides.systemObjectId || '',
+    stakingPoolId: overrides.stakingPoolId || '',
   };
 }
 
 /**
- * Save user settings
+ * Save user settings for a network and make it the active network
  * @param {Object} settings - Settings to save
- * @param {string} settings.aggregator - Aggregator URL
+ * @param {string} settings.network - Network ID
+ * @param {Array<string>} settings.aggregators - Aggregator URLs in order of preference
  * @param {string} settings.uploadRelay - Upload relay URL
  * @param {string} settings.suiRpc - Sui RPC URL
+ * @param {string} [settings.systemObjectId] - Walrus system object ID (devnet/localnet)
+ * @param {string} [settings.stakingPoolId] - Walrus staking pool ID (devnet/localnet)
  */
 export function saveSettings(settings) {
   try {
-    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
-    console.log('Settings saved:', settings);
+    const { network = getActiveNetwork(), ...overrides } = settings;
+    const stored = loadStoredSettings();
+    const updated = {
+      network,
+      networks: { ...stored.networks, [network]: overrides },
+    };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(updated));
+    console.log('Settings saved:', updated);
     return true;
   } catch (error) {
     console.error('Failed to save settings:', error);
@@ -76,6 +121,25 @@ export function getAggregatorUrl() {
   return settings.aggregator;
 }
 
+/**
+ * Get every configured aggregator URL, in the user's order of preference
+ * @returns {Array<string>} Aggregator URLs
+ */
+export function getAggregatorUrls() {
+  const settings = getSettings();
+  return settings.aggregators;
+}
+
+/**
+ * Whether the user has configured aggregators other than the default
+ * @returns {boolean} True if the aggregator list was changed in settings
+ */
+export function hasCustomAggregators() {
+  const { network, aggregators } = getSettings();
+  const [defaultAggregator] = getDefaults(network).aggregators;
+  return aggregators.length !== 1 || aggregators[0] !== defaultAggregator;
+}
+
 /**
  * Get upload relay URL (from user settings or default)
  */
@@ -107,12 +171,18 @@ export function isValidUrl(url) {
 }
 
 /**
- * Get default values
+ * Get default values for a network
+ * @param {string} network - Network ID (defaults to the active network)
  */
-export function getDefaults() {
+export function getDefaults(network = getActiveNetwork()) {
+  const profile = getNetworkProfileById(network);
   return {
-    aggregator: DEFAULT_AGGREGATOR,
-    uploadRelay: DEFAULT_UPLOAD_RELAY,
-    suiRpc: DEFAULT_SUI_RPC,
+    network: profile.id,
+    aggregators: [profile.aggregator],
+    aggregator: profile.aggregator,
+    uploadRelay: profile.uploadRelay,
+    suiRpc: profile.suiRpc,
+    systemObjectId: '',
+    stakingPoolId: '',
   };
 }
@@ -8,6 +8,6 @@
 
 // Re-export from new service modules
 export { uploadToWalrus, extendBlobStorage } from '../services/walrus-upload.js';
-export { getBlobMetadata, getContentType, getPageTitle } from '../services/blob-metadata.js';
+export { getBlobMetadata, getContentType, getPageTitle, getPreviousVersion } from '../services/blob-metadata.js';
 export { getUserBlobs, getAllUserBlobs, getCurrentEpoch } from '../services/blob-query.js';
 export { calculateStorageCost } from '../services/storage-cost.js';
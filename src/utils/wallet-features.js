@@ -0,0 +1,173 @@
+/**
+ * Wallet Features Module - Detects what a Wallet Standard wallet can do and
+ * routes signing through the best feature it offers
+ */
+
+/**
+ * Ways to get a transaction signed and executed, best first.
+ * Wallets that only sign are executed through our own RPC client.
+ * @type {Array<string>}
+ */
+const TRANSACTION_FEATURES = [
+  'sui:signAndExecuteTransaction',
+  'sui:signTransaction',
+  'sui:signAndExecuteTransactionBlock',
+  'sui:signTransactionBlock',
+];
+
+/**
+ * Ways to sign a personal message, best first
+ * @type {Array<string>}
+ */
+const MESSAGE_FEATURES = ['sui:signPersonalMessage', 'sui:signMessage'];
+
+const RESPONSE_OPTIONS = { showEffects: true, showObjectChanges: true };
+
+// Prefer features the account lists; some wallets leave account features incomplete, so fall back to the wallet's
+function findFeature(wallet, account, features) {
+  return features.find(feature => wallet.features[feature] && account?.features?.includes(feature))
+    || features.find(feature => wallet.features[feature])
+    || null;
+}
+
+/**
+ * Detect which Sui signing features a wallet (and optionally one of its accounts) supports
+ * @param {Object} wallet - Wallet Standard wallet
+ * @param {Object} account - Wallet account, if connected
+ * @returns {{transaction: string|null, message: string|null, features: Object<string, boolean>, chains: Array<string>}}
+ *   Feature used for transactions and messages (null if none), and support for each known feature
+ */
+export function getWalletCapabilities(wallet, account = null) {
+  const features = {};
+  for (const feature of [...TRANSACTION_FEATURES, ...MESSAGE_FEATURES]) {
+    features[feature] = !!wallet.features[feature];
+  }
+
+  return {
+    transaction: findFeature(wallet, account, TRANSACTION_FEATURES),
+    message: findFeature(wallet, account, MESSAGE_FEATURES),
+    features,
+    chains: wallet.chains || [],
+  };
+}
+
+/**
+ * Explain why a wallet can't sign transactions on a chain
+ * @param {Object} wallet - Wallet Standard wallet
+ * @param {string} chain - Wallet Standard chain, e.g. 'sui:testnet'
+ * @param {Object} account - Wallet account, if connected
+ * @returns {string|null} Problem to show after the wallet's name, e.g. "can't sign Sui transactions",
+ *   or null if the wallet can be used
+ */
+export function getTransactionSupportIssue(wallet, chain, account = null) {
+  const { transaction, chains } = getWalletCapabilities(wallet, account);
+
+  if (!transaction) {
+    return 'can\'t sign Sui transactions';
+  }
+
+  if (!chains.includes(chain)) {
+    return `doesn't support ${chain}`;
+  }
+
+  return null;
+}
+
+// Wallets call toJSON themselves; resolve intents with our client so they don't need to
+function toWalletTransaction(transaction, client) {
+  return {
+    toJSON: () => transaction.toJSON({ client, supportedIntents: [] }),
+  };
+}
+
+/**
+ * Sign and execute a transaction with a wallet, using the best feature it offers
+ * @param {Object} options
+ * @param {Object} options.wallet - Wallet Standard wallet
+ * @param {Object} options.account - Wallet account to sign with
+ * @param {string} options.chain - Wallet Standard chain
+ * @param {Transaction} options.transaction - Transaction to execute
+ * @param {SuiClient} options.client - Client used to resolve, execute and read back the transaction
+ * @returns {Promise<Object>} Transaction response with effects and objectChanges
+ * @throws {Error} If the wallet can't sign transactions on this chain
+ */
+export async function executeWalletTransaction({ wallet, account, chain, transaction, client }) {
+  const issue = getTransactionSupportIssue(wallet, chain, account);
+  if (issue) {
+    throw new Error(`${wallet.name} ${issue}. Switch wallets or pick another network in Network Settings.`);
+  }
+
+  transaction.setSenderIfNotSet(account.address);
+  const feature = getWalletCapabilities(wallet, account).transaction;
+  console.log(`✍️ Signing with ${wallet.name} via ${feature}`);
+
+  switch (feature) {
+    case 'sui:signAndExecuteTransaction': {
+      // Returns BCS effects only; read the full response back from the RPC
+      const { digest } = await wallet.features[feature].signAndExecuteTransaction({
+        transaction: toWalletTransaction(transaction, client),
+        account,
+        chain,
+      });
+      return client.waitForTransaction({ digest, options: RESPONSE_OPTIONS });
+    }
+
+    case 'sui:signTransaction': {
+      const { bytes, signature } = await wallet.features[feature].signTransaction({
+        transaction: toWalletTransaction(transaction, client),
+        account,
+        chain,
+      });
+      return client.executeTransactionBlock({ transactionBlock: bytes, signature, options: RESPONSE_OPTIONS });
+    }
+
+    case 'sui:signAndExecuteTransactionBlock':
+      return wallet.features[feature].signAndExecuteTransactionBlock({
+        transactionBlock: transaction,
+        account,
+        chain,
+        options: RESPONSE_OPTIONS,
+        requestType: 'WaitForLocalExecution',
+      });
+
+    case 'sui:signTransactionBlock': {
+      const { transactionBlockBytes, signature } = await wallet.features[feature].signTransactionBlock({
+        transactionBlock: transaction,
+        account,
+        chain,
+      });
+      return client.executeTransactionBlock({
+        transactionBlock: transactionBlockBytes,
+        signature,
+        options: RESPONSE_OPTIONS,
+      });
+    }
+
+    default:
+      throw new Error(`${wallet.name} can't sign Sui transactions`);
+  }
+}
+
+/**
+ * Sign a personal message with a wallet
+ * @param {Object} options
+ * @param {Object} options.wallet - Wallet Standard wallet
+ * @param {Object} options.account - Wallet account to sign with
+ * @param {Uint8Array} options.message - Message bytes
+ * @returns {Promise<{bytes: string, signature: string}>} Base64 message bytes and signature
+ * @throws {Error} If the wallet can't sign messages
+ */
+export async function signWalletMessage({ wallet, account, message }) {
+  const feature = getWalletCapabilities(wallet, account).message;
+
+  if (feature === 'sui:signPersonalMessage') {
+    return wallet.features[feature].signPersonalMessage({ message, account });
+  }
+
+  if (feature === 'sui:signMessage') {
+    const { messageBytes, signature } = await wallet.features[feature].signMessage({ message, account });
+    return { bytes: messageBytes, signature };
+  }
+
+  throw new Error(`${wallet.name} can't sign messages`);
+}
@@ -4,6 +4,10 @@
 
 import { getWallets } from '@mysten/wallet-standard';
 import { showWalletPicker, showAccountPicker } from '../components/wallet-picker.js';
+import { getSuiChain, getNetworkProfile, createSuiClient } from '../services/network.js';
+import { executeWalletTransaction, signWalletMessage, getTransactionSupportIssue } from './wallet-features.js';
+import { registerMockWallet } from '../mock/mock-wallet.js';
+import { registerDevWallet } from './dev-wallet.js';
 
 let currentWallet = null;
 let currentAccount = null;
@@ -38,14 +42,15 @@ function subscribeToWalletEvents(wallet) {
   if (!events) return;
 
   unsubscribeEvents = events.on('change', ({ accounts }) => {
-    if (!accounts || accounts.length === 0) return;
+    if (!accounts || accounts.length === 0 || !currentAccount) return;
+
+    // Adding or removing other accounts, like keys in the dev wallet, keeps the one picked
+    if (accounts.some(a => a.address === currentAccount.address)) return;
 
     const newAccount = accounts[0];
-    if (currentAccount && newAccount.address !== currentAccount.address) {
-      currentAccount = newAccount;
-      localStorage.setItem('walrus_wallet_address', newAccount.address);
-      notifyAccountChange(newAccount.address);
-    }
+    currentAccount = newAccount;
+    localStorage.setItem('walrus_wallet_address', newAccount.address);
+    notifyAccountChange(newAccount.address);
   });
 }
 
@@ -60,17 +65,25 @@ export function checkForAccountChange() {
   const liveAccounts = currentWallet.accounts;
   if (!liveAccounts || liveAccounts.length === 0) return;
 
-  // Check if our current account is still in the wallet's list
-  const stillExists = liveAccounts.some(a => a.address === currentAccount.address);
+  // Keep the account the user picked while the wallet still offers it; wallets with
+  // several accounts, like the mock and dev wallets, list them all in a fixed order
+  if (liveAccounts.some(a => a.address === currentAccount.address)) return;
 
-  // The first account in the list is typically the wallet's "active" account
+  // Otherwise the first account in the list is typically the wallet's "active" account
   const activeAccount = liveAccounts[0];
+  currentAccount = activeAccount;
+  localStorage.setItem('walrus_wallet_address', activeAccount.address);
+  notifyAccountChange(activeAccount.address);
+}
 
-  if (!stillExists || activeAccount.address !== currentAccount.address) {
-    currentAccount = activeAccount;
-    localStorage.setItem('walrus_wallet_address', activeAccount.address);
-    notifyAccountChange(activeAccount.address);
-  }
+// The mock network has no real wallets, so offer its funded test accounts
+if (getNetworkProfile().mock) {
+  registerMockWallet();
+}
+
+// Local networks can sign with keys kept in this browser instead of an extension
+if (getNetworkProfile().devWallet) {
+  registerDevWallet();
 }
 
 // Check for account changes when the page regains focus
@@ -113,6 +126,12 @@ async function connectToWallet(wallet) {
     currentAccount = picked;
   }
 
+  // Browsing works with any wallet; publishing and tipping will explain what's missing
+  const issue = getTransactionSupportIssue(wallet, getSuiChain(), currentAccount);
+  if (issue) {
+    console.warn(`⚠️ ${wallet.name} ${issue}`);
+  }
+
   // Save connection state to localStorage
   localStorage.setItem('walrus_wallet_name', wallet.name);
   localStorage.setItem('walrus_wallet_address', currentAccount.address);
@@ -181,31 +200,45 @@ export function isWalletConnected() {
   return currentWallet !== null && currentAccount !== null;
 }
 
-export async function signAndExecuteTransaction(transaction) {
+/**
+ * Sign and execute a transaction with the connected wallet, using the best
+ * signing feature it supports
+ * @param {Transaction} transaction - Transaction to execute
+ * @param {SuiClient} client - Client to resolve and execute with (defaults to the active network's)
+ * @returns {Promise<Object>} Transaction response with effects and objectChanges
+ */
+export async function signAndExecuteTransaction(transaction, client = createSuiClient()) {
   if (!currentWallet || !currentAccount) {
     throw new Error('Wallet not connected');
   }
   
   try {
-    // Use the wallet's signAndExecuteTransactionBlock feature
-    const result = await currentWallet.features['sui:signAndExecuteTransactionBlock'].signAndExecuteTransactionBlock({
-      transactionBlock: transaction,
+    return await executeWalletTransaction({
+      wallet: currentWallet,
       account: currentAccount,
-      chain: 'sui:mainnet',
-      options: {
-        showEffects: true,
-        showObjectChanges: true,
-      },
-      requestType: 'WaitForLocalExecution',
+      chain: getSuiChain(),
+      transaction,
+      client,
     });
-    
-    return result;
   } catch (error) {
     console.error('Transaction error:', error);
     throw error;
   }
 }
 
+/**
+ * Sign a personal message with the connected wallet
+ * @param {Uint8Array} message - Message bytes
+ * @returns {Promise<{bytes: string, signature: string}>} Base64 message bytes and signature
+ */
+export async function signPersonalMessage(message) {
+  if (!currentWallet || !currentAccount) {
+    throw new Error('Wallet not connected');
+  }
+  
+  return signWalletMessage({ wallet: currentWallet, account: currentAccount, message });
+}
+
 export function getWallet() {
   return currentWallet;
 }
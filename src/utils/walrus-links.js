@@ -0,0 +1,69 @@
+/**
+ * Walrus Links Module - Short references to Walrus content in pages:
+ *   walrus://<blobId>      a blob, by blob ID
+ *   sui://<objectId>       a blob object, by Sui object ID
+ *   0x<64 hex digits>      a blob object, bare
+ * Links become ?page= links to the viewer; images and media are read from
+ * the best ranked aggregator.
+ */
+
+import { normalizeSuiObjectId } from '@mysten/sui/utils';
+import { getPageUrl, resolveAggregators } from './router.js';
+import { rankAggregators } from '../services/aggregator-pool.js';
+
+// Blob IDs are 32 bytes, base64url encoded without padding
+const WALRUS_REFERENCE = /^walrus:\/\/([A-Za-z0-9_-]{43})\/?(#.*)?$/;
+const SUI_REFERENCE = /^sui:\/\/(0x[0-9a-fA-F]{1,64})\/?(#.*)?$/;
+const BARE_OBJECT_ID = /^(0x[0-9a-fA-F]{64})(#.*)?$/;
+
+/**
+ * Parse a Walrus reference
+ * @param {string} url - URL or reference from a page
+ * @returns {{blobId: string}|{objectId: string}|null} What it refers to, with any #fragment
+ *   as `hash`, or null if it isn't a Walrus reference
+ */
+export function parseWalrusReference(url) {
+  const value = String(url).trim();
+
+  const walrus = WALRUS_REFERENCE.exec(value);
+  if (walrus) {
+    return { blobId: walrus[1], hash: walrus[2] || '' };
+  }
+
+  const object = SUI_REFERENCE.exec(value) || BARE_OBJECT_ID.exec(value);
+  if (object) {
+    return { objectId: normalizeSuiObjectId(object[1]), hash: object[2] || '' };
+  }
+
+  return null;
+}
+
+/**
+ * Turn a Walrus reference into a link to the page in this app
+ * @param {string} url - URL or reference from a page
+ * @returns {string|null} Relative URL, e.g. '?page=0x...#section', or null if it isn't a Walrus reference
+ */
+export function resolveWalrusLink(url) {
+  const reference = parseWalrusReference(url);
+  if (!reference) return null;
+
+  return `${getPageUrl(reference.blobId || reference.objectId)}${reference.hash}`;
+}
+
+/**
+ * Turn a Walrus reference into a URL for an image, video or audio source, on the
+ * aggregator reads currently go to first. The browser loads these itself, so
+ * there is no fallback to other aggregators. The mock network's aggregator only
+ * exists inside the app, so media can't be loaded from it this way.
+ * @param {string} url - URL or reference from a page
+ * @returns {string|null} Aggregator URL, or null if it isn't a Walrus reference
+ */
+export function resolveWalrusMediaUrl(url) {
+  const reference = parseWalrusReference(url);
+  if (!reference) return null;
+
+  const path = reference.blobId
+    ? `/v1/blobs/${reference.blobId}`
+    : `/v1/blobs/by-object-id/${reference.objectId}`;
+  return `${rankAggregators(resolveAggregators().urls)[0]}${path}`;
+}
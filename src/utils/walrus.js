@@ -2,38 +2,103 @@
  * Walrus Client Module - Handles blob fetching from aggregator
  */
 
-import { detectAggregator } from './router.js';
+import { blobIdFromInt } from '@mysten/walrus';
+import { getBlobMetadata as getOnChainMetadata } from '../services/blob-metadata.js';
+import { getCachedBlobContent, cacheBlobContent } from '../services/blob-cache.js';
+import { verifyBlobContent } from '../services/blob-verification.js';
+import { fetchFromAggregators } from '../services/aggregator-pool.js';
 
-export async function fetchBlob(idOrObjectId) {
-  const aggregator = detectAggregator();
+/**
+ * Resolve a blob object to the blob ID of its content
+ * @param {string} objectId - Blob object ID
+ * @returns {Promise<string|null>} Base64url blob ID, or null if it can't be resolved
+ */
+export async function resolveBlobId(objectId) {
+  const metadata = await getOnChainMetadata(objectId);
+  if (!metadata.blobId) {
+    return null;
+  }
   
+  try {
+    // On chain the blob ID is a u256
+    return blobIdFromInt(BigInt(metadata.blobId));
+  } catch (error) {
+    console.warn('Could not decode blob ID for', objectId, error);
+    return null;
+  }
+}
+
+/**
+ * Fetch blob content and check it against its blob ID.
+ * Object IDs are resolved to their on-chain blob ID first so both kinds of link
+ * share the local blob cache. Only verified content is cached, so cache hits
+ * are verified too.
+ * @param {string} idOrObjectId - Blob ID or blob object ID (0x...)
+ * @returns {Promise<{data: Uint8Array, blobId: string|null, verification: string}>} Content,
+ *   its blob ID and a verification status of 'verified', 'mismatch' or 'unverified'
+ * @throws {Error} If the blob can't be fetched; `status` is set when an aggregator answered with an error
+ */
+export async function fetchVerifiedBlob(idOrObjectId) {
   // Determine if this is an object ID (starts with 0x) or blob ID (base64)
   const isObjectId = idOrObjectId.startsWith('0x');
+  const blobId = isObjectId ? await resolveBlobId(idOrObjectId) : idOrObjectId;
+  
+  if (blobId) {
+    const cached = await getCachedBlobContent(blobId);
+    if (cached) {
+      console.log('📦 Loaded blob from local cache:', blobId);
+      return { data: cached, blobId, verification: 'verified' };
+    }
+  }
   
-  let url;
+  let path;
   if (isObjectId) {
     // For object IDs, use the by-object-id endpoint
-    url = `${aggregator}/v1/blobs/by-object-id/${idOrObjectId}`;
+    path = `/v1/blobs/by-object-id/${idOrObjectId}`;
   } else {
     // For blob IDs, use the direct endpoint
-    url = `${aggregator}/v1/${idOrObjectId}`;
+    path = `/v1/${idOrObjectId}`;
   }
   
   try {
-    const response = await fetch(url);
+    // Races the configured aggregators, fastest and healthiest first
+    const { response, aggregator } = await fetchFromAggregators(path);
+    console.log('🌐 Blob served by aggregator:', aggregator);
     
     if (!response.ok) {
-      throw new Error(`Failed to fetch blob: ${response.status} ${response.statusText}`);
+      const error = new Error(`Failed to fetch blob: ${response.status} ${response.statusText}`);
+      error.status = response.status; // Errors without a status mean no aggregator answered
+      throw error;
+    }
+    
+    const data = new Uint8Array(await response.arrayBuffer());
+    
+    if (!blobId) {
+      return { data, blobId: null, verification: 'unverified' };
+    }
+    
+    const { status } = await verifyBlobContent(data, blobId);
+    if (status === 'verified') {
+      await cacheBlobContent(blobId, data);
     }
     
-    const content = await response.text();
-    return content;
+    return { data, blobId, verification: status };
   } catch (error) {
     console.error('Error fetching blob:', error);
     throw error;
   }
 }
 
+/**
+ * Fetch blob content as text
+ * @param {string} idOrObjectId - Blob ID or blob object ID (0x...)
+ * @returns {Promise<string>} Blob content decoded as UTF-8
+ */
+export async function fetchBlob(idOrObjectId) {
+  const { data } = await fetchVerifiedBlob(idOrObjectId);
+  return new TextDecoder().decode(data);
+}
+
 export async function getBlobMetadata(objectId) {
   // TODO: Query Sui RPC for blob object metadata
   // For now, return placeholder
@@ -2,6 +2,48 @@ import { defineConfig } from 'vite';
 import { viteSingleFile } from 'vite-plugin-singlefile';
 import wasm from 'vite-plugin-wasm';
 import topLevelAwait from 'vite-plugin-top-level-await';
+import { createHash } from 'node:crypto';
+import { NETWORK_PROFILES } from './src/config/networks.js';
+
+// The single-file build inlines the app into <script> tags, which the page's
+// Content-Security-Policy only runs if their hashes are listed in script-src
+function cspScriptHashes() {
+  return {
+    name: 'csp-script-hashes',
+    enforce: 'post',
+    generateBundle(_options, bundle) {
+      for (const file of Object.values(bundle)) {
+        if (file.type !== 'asset' || !file.fileName.endsWith('.html')) continue;
+
+        const html = String(file.source);
+        const hashes = [...html.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/g)]
+          .filter(([, code]) => code.length > 0)
+          .map(([, code]) => `'sha256-${createHash('sha256').update(code).digest('base64')}'`);
+
+        file.source = html.replace("script-src 'self'", () => ["script-src 'self'", ...hashes].join(' '));
+      }
+    },
+  };
+}
+
+// Pages embed walrus:// images and media straight from an aggregator. https: is
+// allowed already; the local profiles' aggregators are plain http, so add those
+// origins to img-src and media-src. Custom http aggregators set in the app can't be allowed.
+function cspAggregatorOrigins() {
+  const origins = [...new Set(Object.values(NETWORK_PROFILES)
+    .map(profile => new URL(profile.aggregator))
+    .filter(url => url.protocol === 'http:')
+    .map(url => url.origin))];
+
+  return {
+    name: 'csp-aggregator-origins',
+    transformIndexHtml(html) {
+      return html
+        .replace("img-src 'self'", () => ["img-src 'self'", ...origins].join(' '))
+        .replace("media-src 'self'", () => ["media-src 'self'", ...origins].join(' '));
+    },
+  };
+}
 
 export default defineConfig(({ command, mode }) => {
   // Determine which page to build based on environment variable
@@ -12,7 +54,9 @@ export default defineConfig(({ command, mode }) => {
     plugins: [
       wasm(),
       topLevelAwait(),
+      cspAggregatorOrigins(),
       viteSingleFile(),
+      cspScriptHashes(),
     ],
     optimizeDeps: {
       exclude: ['@mysten/walrus-wasm'],